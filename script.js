@@ -1,120 +1,663 @@
 // ============================================
 // 100 Days Better Me - Production Logic
-// Data Model: { currentDay, streak, days: { 1: {...}, 2: {...} }, whyStarted }
+// Data Model: { activeChallengeId, challenges: [ { startDate, currentDay, streak, days, habits, ... } ], archive, whyStarted }
 // ============================================
 
 // ============================================
 // DATA MODEL & INITIALIZATION
 // ============================================
 
+// Default habit definitions (used until the user edits them in Settings)
+// type "number": completed when min ≤ value ≤ max (either bound optional)
+// type "boolean": completed when answered Yes (stored as 1)
+// logMode (number habits): how the value is entered on the dashboard, see LOG_MODES
+// kind: which badges the habit counts toward, see HABIT_KINDS (null for none)
+const DEFAULT_HABITS = [
+  { id: 'sleep', icon: '😴', label: 'Sleep', type: 'number', unit: 'hours', min: 7, max: null, step: 0.5, placeholder: 'Hours slept', weight: 20, logMode: 'input' },
+  { id: 'water', icon: '💧', label: 'Water', type: 'number', unit: 'glasses', min: 8, max: null, step: 1, placeholder: 'Glasses', weight: 20, logMode: 'increment' },
+  { id: 'workout', icon: '💪', label: 'Workout', type: 'number', unit: 'minutes', min: 30, max: null, step: 1, placeholder: 'Minutes', weight: 20, logMode: 'timer', kind: 'workout' },
+  { id: 'study', icon: '📚', label: 'Study', type: 'number', unit: 'minutes', min: 60, max: null, step: 1, placeholder: 'Minutes', weight: 20, logMode: 'timer' },
+  { id: 'food', icon: '🥗', label: 'Food', type: 'number', unit: 'calories', min: 2000, max: 2500, step: 10, placeholder: 'Calories consumed', weight: 20, logMode: 'input', kind: 'nutrition' }
+];
+
+// Ways to log a number habit
+// input: type the day's total
+// increment: "+1 glasses" button adding the habit's step each tap
+// timer: start/stop timer adding the elapsed minutes (hours, for habits measured in hours)
+const LOG_MODES = {
+  input: "Type total",
+  increment: "+ buttons",
+  timer: "Timer"
+};
+
+// Kinds of habit some badges follow, so they keep counting when habits are renamed or replaced
+const HABIT_KINDS = {
+  workout: "Counts as workout",
+  nutrition: "Counts as nutrition"
+};
+
+// Ids of habits, challenges, runs, target changes and plans: they end up in element ids
+// and storage keys, so ids from backups or the sync server must match this
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Keys used by day records themselves - habit ids must not clash with these
+const RESERVED_DAY_KEYS = ['completedHabits', 'score', 'completed', 'date', 'missed', 'frozen', 'history', 'entries', 'journal', 'mood', 'energy', 'rules', 'updatedAt'];
+
+// Points
+const MAX_SCORE = 100;
+
+// How a day's score is calculated
+// strict: a habit earns its share only when completed
+// proportional: partial credit for progress toward the target (capped at 100%)
+// weighted: partial credit, with each habit's share set by its weight
+const SCORING_MODES = {
+  strict: "Strict - all or nothing",
+  proportional: "Partial credit",
+  weighted: "Weighted partial credit"
+};
+
+// Challenge length in days (default, and the choices offered for new challenges)
+const DEFAULT_CHALLENGE_DAYS = 100;
+const CHALLENGE_LENGTH_PRESETS = [21, 30, 66, 75, 100];
+const MAX_CHALLENGE_DAYS = 365;
+
+// Id of the challenge created from data saved before multiple challenges existed
+const LEGACY_CHALLENGE_ID = 'main';
+
+// Streak rules of a new challenge - no freezes or rest days, any incomplete day breaks the streak
+// freezeEvery: consecutive completed days that earn one streak freeze (0 = off)
+// maxFreezes: most freezes that can be saved up
+// restWeekdays: weekdays (0 = Sunday) on which only restHabits are required
+const DEFAULT_STREAK_RULES = { freezeEvery: 0, maxFreezes: 2, restWeekdays: [], restHabits: [] };
+
+// Rating scales for the daily journal (index 0 is a rating of 1)
+const MOOD_LABELS = ['😞', '🙁', '😐', '🙂', '😄'];
+const ENERGY_LABELS = ['🪫', '😴', '🙂', '💪', '⚡'];
+
+// Journal parts of a day that can be corrected along with its habits, as named in the change history
+const DAY_NOTE_FIELDS = { mood: "Mood", energy: "Energy", journal: "Journal" };
+
+// Evening time for the "you are about to lose your streak" notification
+const DEFAULT_STREAK_WARNING = "21:00";
+
+// localStorage keys: the app data (only where IndexedDB is unavailable), the copy kept
+// before each migration (suffixed with the version it was saved at) and data that couldn't be read at all
+// Each profile other than the first has its own copy of these, suffixed with "@<profile id>"
+const STORAGE_KEY = "betterMe";
+const MIGRATION_BACKUP_KEY = "betterMe-backup-v";
+const CORRUPT_DATA_KEY = "betterMe-corrupt";
+
+// IndexedDB database holding the app data where available (one per profile, named like the keys above)
+// meta: appData without day records (key "app")
+// days: one record per challenge day, { challengeId, day, record }
+// backups: copy of the data kept before each migration (key = version it was saved at)
+const DB_NAME = "betterMe";
+const DB_VERSION = 1;
+
+// Layout of the saved data - bump it and add a migration whenever the layout changes
+// Data saved before schemaVersion existed counts as version 0
+const SCHEMA_VERSION = 2;
+
+// Run in order at load and on imported backups; each one changes data
+// saved at version - 1 in place so it matches version
+const MIGRATIONS = [
+  { version: 1, description: "Multiple challenges", migrate: upgradeLegacyData },
+  { version: 2, description: "Per-day target snapshots", migrate: snapshotLegacyDayRules }
+];
+
+// Sync: how long after a change it is pushed, and how often the server is checked while open
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+// Team relay: how long after a change progress is published, and how often the group is refreshed
+const TEAM_PUBLISH_DEBOUNCE_MS = 5000;
+const TEAM_REFRESH_MS = 5 * 60 * 1000;
+
+// Group codes and member ids, as the relay accepts them
+const TEAM_ID_PATTERN = /^[A-Za-z0-9-]{6,64}$/;
+
+// Profiles: the list of profiles (localStorage), the profile unlocked in this tab
+// (sessionStorage), the profile whose data uses the unsuffixed keys, and the icons to choose from
+const PROFILES_KEY = "betterMe-profiles";
+const UNLOCKED_PROFILE_KEY = "betterMe-unlocked";
+const DEFAULT_PROFILE_ID = "default";
+const PROFILE_AVATARS = ['🙂', '😎', '🦊', '🐼', '🐯', '🦄', '🌻', '⚡', '🚀', '🎯'];
+
+// PBKDF2 rounds when hashing profile PINs
+const PIN_ITERATIONS = 100000;
+
+// Problems found while loading saved data, shown once the app has started
+const storageNotices = [];
+
 /**
- * Initialize or load data from localStorage
+ * App data, loaded by init() from IndexedDB or localStorage (see loadAppData)
  * Data structure:
  * {
- *   currentDay: number (1-100),
- *   streak: number,
- *   days: {
- *     1: { sleep, water, workout, study, food, completedHabits: {...}, score, completed },
- *     2: { ... }
- *   },
+ *   schemaVersion: number (SCHEMA_VERSION when saved),
+ *   activeChallengeId: string,
+ *   challenges: [
+ *     {
+ *       id: string,
+ *       name: string,
+ *       length: number (days in the challenge),
+ *       startDate: "YYYY-MM-DD" (calendar date of Day 1),
+ *       currentDay: number (1-length, derived from startDate and today's date),
+ *       streak: number,
+ *       days: {
+ *         1: { date, [habitId]: value, ..., completedHabits: {...}, score, completed, missed,
+ *              frozen (missed day covered by a streak freeze),
+ *              journal: string, mood: 1-5, energy: 1-5,
+ *              rules: { [habitId]: { type, min, max } } (targets the day is judged against),
+ *              entries: { [habitId]: [ { at, amount } ] } (increments and timer sessions),
+ *              history: [ { at, reason, changes: [ { habit, from, to } ] } ],
+ *              updatedAt: ms timestamp of the last change (set while sync is on) },
+ *         2: { ... }
+ *       },
+ *       habits: [ { id, icon, label, type, unit, min, max, step, placeholder, weight, reminder: "HH:MM" | null, logMode }, ... ],
+ *       scoring: { mode: "strict" | "proportional" | "weighted" },
+ *       timers: { [habitId]: startedAt (ISO timestamp) } (running habit timers),
+ *       rules: { freezeEvery, maxFreezes, restWeekdays: [0-6], restHabits: [habitId] },
+ *       ruleChanges: [ { id, habit, fromDay, min, max } ] (new targets from a day on),
+ *       overloadPlans: [ { id, habit, amount, everyDays, fromDay } ] (targets raised step by step),
+ *       freezes: number (streak freezes available, derived from the days),
+ *       updatedAt: ms timestamp of the last settings change (set while sync is on)
+ *     }
+ *   ],
+ *   archive: [ { id, name, length, startDate, endDate, currentDay, finalStreak, completedDays, whyStarted, habits, scoring, rules, days }, ... ],
+ *   reminders: { enabled: boolean, streakWarning: "HH:MM" | null },
+ *   achievements: { [achievementId]: unlockedAt (ISO timestamp) },
+ *   quarantine: [ { challengeId, day, reason, at, record } ] (records set aside because they couldn't be repaired),
+ *   sync: { enabled, endpoint, token, cursor (server position of the last pull), pending: [recordKey] },
+ *   team: { enabled, endpoint, groupCode, memberId, memberKey, name, shareValues } (accountability group on a relay server),
+ *   updatedAt: ms timestamp of the last change to whyStarted, achievements or archive (set while sync is on),
  *   whyStarted: string
  * }
  */
-let appData = JSON.parse(localStorage.getItem("betterMe")) || {
-  currentDay: 1,
-  streak: 0,
-  days: {},
-  whyStarted: ""
-};
-
-// Habit completion rules (STRICT - must meet these to be completed)
-const HABIT_RULES = {
-  sleep: { min: 7 },           // ≥ 7 hours
-  water: { min: 8 },           // ≥ 8 glasses
-  workout: { min: 30 },        // ≥ 30 minutes
-  study: { min: 60 },         // ≥ 60 minutes
-  food: { min: 2000, max: 2500 } // Between 2000-2500 calories
-};
-
-// Points per habit
-const POINTS_PER_HABIT = 20;
-const MAX_SCORE = 100;
+let appData = null;
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
+/**
+ * Empty app data with a single default challenge
+ */
+function createAppData() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    activeChallengeId: LEGACY_CHALLENGE_ID,
+    challenges: [createChallenge("100 Days Better Me", DEFAULT_CHALLENGE_DAYS, LEGACY_CHALLENGE_ID)],
+    archive: [],
+    reminders: { enabled: false, streakWarning: DEFAULT_STREAK_WARNING },
+    achievements: {},
+    quarantine: [],
+    sync: { enabled: false, endpoint: "", token: "", cursor: 0, pending: [] },
+    team: createTeamSettings(),
+    whyStarted: ""
+  };
+}
+
+/**
+ * Team settings of a device that isn't in a group
+ */
+function createTeamSettings() {
+  return { enabled: false, endpoint: "", groupCode: "", memberId: "", memberKey: "", name: "", shareValues: false };
+}
+
+/**
+ * Fresh copy of the default habit list
+ */
+function cloneDefaultHabits() {
+  return DEFAULT_HABITS.map(habit => ({ ...habit }));
+}
+
+/**
+ * New, empty challenge starting today
+ */
+function createChallenge(name, length, id, habits) {
+  return {
+    id: id || `challenge-${Date.now()}`,
+    name,
+    length,
+    startDate: toDateKey(new Date()),
+    currentDay: 1,
+    streak: 0,
+    days: {},
+    habits: habits || cloneDefaultHabits(),
+    scoring: { mode: 'strict' },
+    timers: {},
+    rules: cloneStreakRules(DEFAULT_STREAK_RULES),
+    freezes: 0,
+    ruleChanges: [],
+    overloadPlans: []
+  };
+}
+
+/**
+ * Copy of a set of streak rules
+ */
+function cloneStreakRules(rules) {
+  return {
+    ...rules,
+    restWeekdays: rules.restWeekdays.slice(),
+    restHabits: rules.restHabits.slice()
+  };
+}
+
+/**
+ * The challenge currently shown in the app
+ */
+function getChallenge() {
+  return appData.challenges.find(challenge => challenge.id === appData.activeChallengeId) || appData.challenges[0];
+}
+
+/**
+ * Get the user's habit definitions, in display order
+ */
+function getHabits() {
+  return getChallenge().habits;
+}
+
+/**
+ * Get a single habit definition by id
+ */
+function getHabit(id) {
+  return getHabits().find(habit => habit.id === id) || null;
+}
+
+/**
+ * Escape user-entered text before putting it into innerHTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Short description of a habit's target, e.g. "≥ 7 hours" or "2000-2500 calories"
+ * Pass a day record to describe the target that day was judged against
+ */
+function describeHabitRule(habit, dayData) {
+  const rule = getHabitRule(habit, dayData);
+  const unit = habit.unit ? " " + habit.unit : "";
+  if (rule.type === 'boolean') {
+    return "Yes / No";
+  }
+  if (rule.min !== null && rule.max !== null) {
+    return `${rule.min}-${rule.max}${unit}`;
+  }
+  if (rule.max !== null) {
+    return `≤ ${rule.max}${unit}`;
+  }
+  return `≥ ${rule.min}${unit}`;
+}
+
+/**
+ * The target a habit is judged against: the day's snapshot if it has one,
+ * otherwise the habit's current definition
+ */
+function getHabitRule(habit, dayData) {
+  if (dayData && dayData.rules && dayData.rules[habit.id]) {
+    return dayData.rules[habit.id];
+  }
+  return { type: habit.type, min: habit.min, max: habit.max };
+}
+
+/**
+ * A habit's target on a given day of a challenge
+ * Starts from the habit definition, then applies target changes that have taken
+ * effect by that day, then every overload plan step reached so far
+ */
+function getRuleForDay(challenge, habit, day) {
+  let min = habit.min;
+  let max = habit.max;
+  if (habit.type === 'boolean') {
+    return { type: habit.type, min: null, max: null };
+  }
+  
+  (challenge.ruleChanges || [])
+    .filter(change => change.habit === habit.id && change.fromDay <= day)
+    .sort((a, b) => a.fromDay - b.fromDay)
+    .forEach(change => {
+      min = change.min;
+      max = change.max;
+    });
+  
+  (challenge.overloadPlans || [])
+    .filter(plan => plan.habit === habit.id && plan.fromDay <= day)
+    .forEach(plan => {
+      // The first step applies on the plan's first day, then one more every everyDays
+      const raise = plan.amount * (1 + Math.floor((day - plan.fromDay) / plan.everyDays));
+      if (min !== null) min = Math.max(0, Math.round((min + raise) * 100) / 100);
+      if (max !== null) max = Math.max(0, Math.round((max + raise) * 100) / 100);
+    });
+  
+  return { type: habit.type, min, max };
+}
+
+/**
+ * Store the targets a day is judged against, so later changes don't rewrite it
+ * Only habits without a snapshot are filled in unless refresh is set
+ */
+function snapshotDayRules(dayData, day, challenge = getChallenge(), refresh = false) {
+  if (!dayData.rules || refresh) {
+    dayData.rules = refresh ? {} : (dayData.rules || {});
+  }
+  challenge.habits.forEach(habit => {
+    if (refresh || !dayData.rules[habit.id]) {
+      dayData.rules[habit.id] = getRuleForDay(challenge, habit, day);
+    }
+  });
+}
+
+/**
+ * Format a logged value for display
+ */
+function formatHabitValue(habit, value) {
+  if (value === null || value === undefined) {
+    return "Not logged";
+  }
+  if (habit.type === 'boolean') {
+    return value ? "Yes" : "No";
+  }
+  return habit.unit ? `${value} ${habit.unit}` : String(value);
+}
+
+/**
+ * Local calendar date as "YYYY-MM-DD"
+ */
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" key into a local Date at midnight
+ */
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Shift a "YYYY-MM-DD" key by a number of days
+ */
+function addDays(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Whole days from one date key to another (UTC based so DST can't skew it)
+ */
+function daysBetween(fromKey, toKey) {
+  const [fy, fm, fd] = fromKey.split("-").map(Number);
+  const [ty, tm, td] = toKey.split("-").map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+/**
+ * Readable date, e.g. "Mon, Mar 4, 2024"
+ */
+function formatDate(dateKey) {
+  return parseDateKey(dateKey).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Calendar date of a challenge day
+ */
+function getDateForDay(day, challenge = getChallenge()) {
+  return addDays(challenge.startDate, day - 1);
+}
+
+/**
+ * Which challenge day today's date falls on (can be < 1 or > the challenge length)
+ */
+function getTodayDayNumber(challenge = getChallenge()) {
+  return daysBetween(challenge.startDate, toDateKey(new Date())) + 1;
+}
+
+/**
+ * Empty record for a day, with every habit not logged
+ */
+function createDayRecord(day, challenge = getChallenge()) {
+  const dayData = {
+    date: getDateForDay(day, challenge),
+    completedHabits: {},
+    score: 0,
+    completed: false
+  };
+  challenge.habits.forEach(habit => {
+    dayData[habit.id] = null;
+    dayData.completedHabits[habit.id] = false;
+  });
+  snapshotDayRules(dayData, day, challenge);
+  return dayData;
+}
+
+/**
+ * Move a challenge's current day to today's date
+ * Every earlier day that was not completed is recorded as missed
+ * Returns true if anything changed (the current day or a past day's record), so it is saved
+ */
+function syncCurrentDayWithCalendar(challenge = getChallenge()) {
+  const todayNumber = getTodayDayNumber(challenge);
+  const previousDay = challenge.currentDay;
+  let changed = false;
+  
+  // Days whose date has already passed
+  const lastPastDay = Math.min(todayNumber - 1, challenge.length);
+  for (let day = 1; day <= lastPastDay; day++) {
+    if (!challenge.days[day]) {
+      challenge.days[day] = createDayRecord(day, challenge);
+      changed = true;
+    }
+    const dayData = challenge.days[day];
+    if (!dayData.date) {
+      dayData.date = getDateForDay(day, challenge);
+      changed = true;
+    }
+    if (dayData.completed) continue;
+    
+    // A rest day whose required habits are done (or has none) still counts
+    if (areAllHabitsCompleted(dayData, challenge)) {
+      dayData.completed = true;
+      delete dayData.missed;
+      changed = true;
+    } else if (!dayData.missed) {
+      dayData.missed = true;
+      changed = true;
+    }
+  }
+  
+  challenge.currentDay = Math.min(Math.max(todayNumber, 1), challenge.length);
+  return changed || challenge.currentDay !== previousDay;
+}
+
+/**
+ * Check if the challenge's last day is already behind us
+ */
+function isChallengeOver(challenge = getChallenge()) {
+  return getTodayDayNumber(challenge) > challenge.length;
+}
+
 /**
  * Get current day's data
  * Returns the data object for the current day
+ * Habits added after the day was created are filled in as not logged
  */
 function getCurrentDayData() {
-  const day = appData.currentDay;
-  if (!appData.days[day]) {
-    appData.days[day] = {
-      sleep: null,
-      water: null,
-      workout: null,
-      study: null,
-      food: null,
-      completedHabits: {
-        sleep: false,
-        water: false,
-        workout: false,
-        study: false,
-        food: false
-      },
-      score: 0,
-      completed: false
-    };
+  const challenge = getChallenge();
+  const day = challenge.currentDay;
+  if (!challenge.days[day]) {
+    challenge.days[day] = createDayRecord(day);
   }
-  return appData.days[day];
+  const dayData = challenge.days[day];
+  if (!dayData.date) {
+    dayData.date = getDateForDay(day);
+  }
+  getHabits().forEach(habit => {
+    if (dayData[habit.id] === undefined) {
+      dayData[habit.id] = null;
+    }
+    if (dayData.completedHabits[habit.id] === undefined) {
+      dayData.completedHabits[habit.id] = false;
+    }
+  });
+  snapshotDayRules(dayData, day, challenge);
+  return dayData;
 }
 
 /**
- * Save data to localStorage
+ * Save data (to IndexedDB, or localStorage where it's unavailable)
  */
 function saveData() {
-  localStorage.setItem("betterMe", JSON.stringify(appData));
+  // Unlock badges first so their dates are saved too
+  const unlocked = unlockAchievements();
+  
+  // Stamp what changed for the sync server before it's written
+  if (trackSyncChanges()) {
+    scheduleSync();
+    renderSyncStatus();
+  }
+  
+  persistAppData();
+  
+  // Streaks and scores for the leaderboard
+  updateProfileSummary();
+  
+  // Progress for the team, if in a group
+  if (appData.team.enabled) {
+    scheduleTeamPublish();
+  }
+  
+  if (unlocked.length > 0) {
+    showAchievementToast(unlocked);
+    renderBadges();
+  }
+  
+  // Reminder texts depend on what is still missing
+  sendReminderSchedule();
+}
+
+/**
+ * Turn user input into a habit value
+ * Returns null if it isn't a valid non-negative number
+ * (Yes/No habits also accept "yes"/"no" and only 1 or 0)
+ */
+function parseHabitValue(habit, rawValue) {
+  const text = String(rawValue).trim().toLowerCase();
+  
+  if (habit.type === 'boolean') {
+    if (text === "yes" || text === "true") return 1;
+    if (text === "no" || text === "false") return 0;
+  }
+  
+  const value = parseFloat(text);
+  if (isNaN(value) || value < 0) {
+    return null;
+  }
+  if (habit.type === 'boolean' && value !== 0 && value !== 1) {
+    return null;
+  }
+  return value;
 }
 
 /**
  * Check if a habit value meets the completion rule
  * Returns true only if the value strictly meets the requirement
+ * Judged against the day's target snapshot when a day record is passed
  */
-function isHabitCompleted(habit, value) {
+function isHabitCompleted(habitId, value, dayData) {
   if (value === null || value === undefined) {
     return false;
   }
   
-  const rule = HABIT_RULES[habit];
-  if (!rule) return false;
+  const habit = getHabit(habitId);
+  if (!habit) return false;
+  
+  const rule = getHabitRule(habit, dayData);
+  if (rule.type === 'boolean') {
+    return value === 1;
+  }
+  if (rule.min !== null && value < rule.min) {
+    return false;
+  }
+  if (rule.max !== null && value > rule.max) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * How far a value is toward completing a habit
+ * Returns 0-1 (1 when completed); going over a maximum loses credit
+ */
+function getHabitProgress(habitId, value, dayData) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (isHabitCompleted(habitId, value, dayData)) {
+    return 1;
+  }
+  
+  const habit = getHabit(habitId);
+  if (!habit) return 0;
+  
+  const rule = getHabitRule(habit, dayData);
+  if (rule.type === 'boolean') {
+    return 0;
+  }
+  
+  let progress = 0;
+  if (rule.min !== null && value < rule.min) {
+    progress = value / rule.min;
+  } else if (rule.max !== null && value > rule.max) {
+    progress = rule.max / value;
+  }
+  return Math.min(Math.max(progress, 0), 1);
+}
+
+/**
+ * Share of MAX_SCORE a habit is worth under the current scoring mode
+ * Weights are scaled so they always add up to MAX_SCORE
+ */
+function getHabitWeight(habitId) {
+  const habits = getHabits();
+  if (getChallenge().scoring.mode !== 'weighted') {
+    return MAX_SCORE / habits.length;
+  }
   
-  switch (habit) {
-    case 'sleep':
-      return value >= rule.min;
-    case 'water':
-      return value >= rule.min;
-    case 'workout':
-      return value >= rule.min;
-    case 'study':
-      return value >= rule.min;
-    case 'food':
-      return value >= rule.min && value <= rule.max;
-    default:
-      return false;
+  const totalWeight = habits.reduce((sum, habit) => sum + (habit.weight || 0), 0);
+  if (totalWeight <= 0) {
+    return MAX_SCORE / habits.length;
   }
+  const habit = getHabit(habitId);
+  return ((habit && habit.weight) || 0) / totalWeight * MAX_SCORE;
 }
 
 /**
  * Calculate score for a single habit
- * Returns points (0-20) based on completion
+ * Strict mode: full share only when completed; other modes: share x progress
  */
-function calculateHabitScore(habit, value) {
-  if (isHabitCompleted(habit, value)) {
-    return POINTS_PER_HABIT;
+function calculateHabitScore(habitId, value, dayData) {
+  const weight = getHabitWeight(habitId);
+  if (getChallenge().scoring.mode === 'strict') {
+    return isHabitCompleted(habitId, value, dayData) ? weight : 0;
   }
-  return 0;
+  return getHabitProgress(habitId, value, dayData) * weight;
 }
 
 /**
@@ -122,23 +665,41 @@ function calculateHabitScore(habit, value) {
  * Returns score (0-100) based on all completed habits
  */
 function calculateDayScore(dayData) {
-  const habits = ['sleep', 'water', 'workout', 'study', 'food'];
   let totalScore = 0;
   
-  habits.forEach(habit => {
-    const value = dayData[habit];
-    totalScore += calculateHabitScore(habit, value);
+  getHabits().forEach(habit => {
+    const value = dayData[habit.id];
+    totalScore += calculateHabitScore(habit.id, value, dayData);
   });
   
-  return totalScore;
+  return Math.round(totalScore);
+}
+
+/**
+ * Check whether a day of a challenge (or archived run) falls on a scheduled rest day
+ */
+function isRestDay(run, day) {
+  const weekdays = run.rules ? run.rules.restWeekdays : [];
+  if (weekdays.length === 0) return false;
+  return weekdays.includes(parseDateKey(addDays(run.startDate, day - 1)).getDay());
+}
+
+/**
+ * Habits that must be completed on a day - on rest days only the rest habits
+ */
+function getRequiredHabits(dayData, challenge = getChallenge()) {
+  const day = daysBetween(challenge.startDate, dayData.date || toDateKey(new Date())) + 1;
+  if (!isRestDay(challenge, day)) {
+    return challenge.habits;
+  }
+  return challenge.habits.filter(habit => challenge.rules.restHabits.includes(habit.id));
 }
 
 /**
- * Check if all 5 habits are completed for a day
+ * Check if all required habits are completed for a day
  */
-function areAllHabitsCompleted(dayData) {
-  const habits = ['sleep', 'water', 'workout', 'study', 'food'];
-  return habits.every(habit => dayData.completedHabits[habit] === true);
+function areAllHabitsCompleted(dayData, challenge = getChallenge()) {
+  return getRequiredHabits(dayData, challenge).every(habit => dayData.completedHabits[habit.id] === true);
 }
 
 // ============================================
@@ -147,38 +708,77 @@ function areAllHabitsCompleted(dayData) {
 
 /**
  * Save a habit value for the current day
- * Validates input, checks completion, updates UI, and handles day progression
+ * Validates input, then logs it
  */
-function saveHabit(habit) {
+function saveHabit(habitId) {
+  const habit = getHabit(habitId);
+  
   // Get input element
-  const inputElement = document.getElementById(habit);
-  if (!inputElement) {
-    alert("Input field not found!");
+  const inputElement = document.getElementById(`input-${habitId}`);
+  if (!habit || !inputElement) {
+    showAlert("Input field not found!");
     return;
   }
   
   // Get and validate value
-  let value = parseFloat(inputElement.value);
-  if (isNaN(value) || value < 0) {
-    alert(`Please enter a valid number for ${habit}!`);
+  const value = parseHabitValue(habit, inputElement.value);
+  if (value === null) {
+    showAlert(`Please enter a valid number for ${habit.label}!`);
     return;
   }
   
-  // Get current day data
-  const dayData = getCurrentDayData();
-  
+  logHabitValue(habit, value);
+}
+
+/**
+ * Check that the current day can still be logged, explaining why not if it can't
+ */
+function isDayOpenForLogging(dayData) {
   // Check if current day is already completed (locked)
   if (dayData.completed) {
-    alert("This day is already completed and locked!");
+    showAlert("This day is already completed and locked!\n\nTo correct it, open the day in the calendar and choose Edit Day.");
+    return false;
+  }
+  
+  // Days that have passed can't be changed any more
+  if (dayData.missed) {
+    showAlert("This day has already passed and can no longer be logged here!\n\nTo correct it, open the day in the calendar and choose Edit Day.");
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Store a habit's new value for the current day
+ * Checks completion, updates UI, and handles day progression
+ * addedAmount is passed for increments and timers: it is kept as a timestamped entry
+ */
+function logHabitValue(habit, value, addedAmount) {
+  const habitId = habit.id;
+  
+  // Get current day data
+  const dayData = getCurrentDayData();
+  if (!isDayOpenForLogging(dayData)) {
     return;
   }
+  const undoSnapshot = takeUndoSnapshot();
   
   // Save the value
-  dayData[habit] = value;
+  dayData[habitId] = value;
+  if (addedAmount !== undefined) {
+    if (!dayData.entries) {
+      dayData.entries = {};
+    }
+    if (!dayData.entries[habitId]) {
+      dayData.entries[habitId] = [];
+    }
+    dayData.entries[habitId].push({ at: new Date().toISOString(), amount: addedAmount });
+  }
   
   // Check if habit is completed (STRICT RULE)
-  const isCompleted = isHabitCompleted(habit, value);
-  dayData.completedHabits[habit] = isCompleted;
+  const isCompleted = isHabitCompleted(habitId, value, dayData);
+  dayData.completedHabits[habitId] = isCompleted;
   
   // Calculate and update score
   dayData.score = calculateDayScore(dayData);
@@ -187,19 +787,27 @@ function saveHabit(habit) {
   saveData();
   
   // Update UI
-  updateHabitUI(habit, value, isCompleted);
+  const inputElement = document.getElementById(`input-${habitId}`);
+  if (inputElement) {
+    inputElement.value = value;
+  }
+  updateHabitUI(habitId, value, isCompleted);
+  updateHabitLogging(habitId);
   updateScoreDisplay();
   
   // Check if all habits are completed
   if (areAllHabitsCompleted(dayData)) {
-    completeCurrentDay();
+    completeCurrentDay(undoSnapshot);
   } else {
     // Show feedback
     if (isCompleted) {
-      showFeedback(`${habit.charAt(0).toUpperCase() + habit.slice(1)} completed! ✔`);
+      showUndoToast(`${habit.label} completed! ✔`, undoSnapshot);
+    } else if (addedAmount !== undefined) {
+      // Running totals are expected to be short of the target for a while
+      showUndoToast(`${habit.label}: ${formatHabitValue(habit, value)} so far`, undoSnapshot);
     } else {
-      showFeedback(`${habit.charAt(0).toUpperCase() + habit.slice(1)} saved, but not completed.`);
-      showCompletionRequirement(habit, value);
+      showUndoToast(`${habit.label} saved, but not completed.`, undoSnapshot);
+      showCompletionRequirement(habitId, value);
     }
   }
 }
@@ -207,55 +815,280 @@ function saveHabit(habit) {
 /**
  * Show what's required to complete a habit
  */
-function showCompletionRequirement(habit, value) {
-  const rule = HABIT_RULES[habit];
+function showCompletionRequirement(habitId, value) {
+  const habit = getHabit(habitId);
+  if (!habit) return;
+  
+  const rule = getHabitRule(habit, getCurrentDayData());
+  const unit = habit.unit ? " " + habit.unit : "";
   let message = "";
   
-  switch (habit) {
-    case 'sleep':
-      message = `Sleep needs to be ≥ ${rule.min} hours. You entered ${value} hours.`;
-      break;
-    case 'water':
-      message = `Water needs to be ≥ ${rule.min} glasses. You entered ${value} glasses.`;
-      break;
-    case 'workout':
-      message = `Workout needs to be ≥ ${rule.min} minutes. You entered ${value} minutes.`;
-      break;
-    case 'study':
-      message = `Study needs to be ≥ ${rule.min} minutes. You entered ${value} minutes.`;
-      break;
-    case 'food':
-      message = `Food calories need to be between ${rule.min}-${rule.max}. You entered ${value} calories.`;
-      break;
+  if (rule.type === 'boolean') {
+    message = `${habit.label} needs to be answered Yes.`;
+  } else if (rule.min !== null && rule.max !== null) {
+    message = `${habit.label} needs to be between ${rule.min}-${rule.max}${unit}. You entered ${value}${unit}.`;
+  } else if (rule.max !== null) {
+    message = `${habit.label} needs to be ≤ ${rule.max}${unit}. You entered ${value}${unit}.`;
+  } else {
+    message = `${habit.label} needs to be ≥ ${rule.min}${unit}. You entered ${value}${unit}.`;
   }
   
-  setTimeout(() => {
-    alert(message);
-  }, 500);
+  showAlert(message, "Not completed yet");
 }
 
 // ============================================
-// UI UPDATE FUNCTIONS
+// INCREMENTS & TIMERS
 // ============================================
 
+// Redraws running timers once a second (null while no timer runs)
+let timerTicker = null;
+
 /**
- * Update UI for a specific habit card
- * Shows/hides tick, updates progress bar, adds completed class
+ * Add to today's value of a habit, e.g. one more glass of water
  */
-function updateHabitUI(habit, value, isCompleted) {
-  const card = document.querySelector(`[data-habit="${habit}"]`);
-  if (!card) return;
+function addHabitAmount(habitId, amount) {
+  const habit = getHabit(habitId);
+  if (!habit) return;
   
-  // Update tick icon
-  const tickIcon = document.getElementById(`tick-${habit}`);
-  if (tickIcon) {
-    tickIcon.style.display = isCompleted ? "inline" : "none";
-  }
-  
-  // Update progress bar
-  const progressFill = document.getElementById(`progress-${habit}`);
-  if (progressFill) {
-    progressFill.style.width = isCompleted ? "100%" : "0%";
+  const current = getCurrentDayData()[habitId] || 0;
+  // Round away floating point noise from steps like 0.1
+  const value = Math.round((current + amount) * 100) / 100;
+  logHabitValue(habit, value, amount);
+}
+
+/**
+ * Start the habit's timer, or stop it and add the elapsed minutes
+ */
+function toggleHabitTimer(habitId) {
+  const challenge = getChallenge();
+  
+  if (challenge.timers[habitId]) {
+    stopHabitTimer(habitId);
+    return;
+  }
+  
+  if (!isDayOpenForLogging(getCurrentDayData())) return;
+  
+  // Saved with the challenge so a reload doesn't lose the running time
+  challenge.timers[habitId] = new Date().toISOString();
+  saveData();
+  updateHabitLogging(habitId);
+  startTimerTicker();
+}
+
+/**
+ * Stop a running timer and log its whole minutes
+ * A session that ran past midnight is split between the days it covered. Time for a day
+ * that can't be logged any more (passed, or completed meanwhile) is added as a correction
+ * in that day's history, so a session is never thrown away
+ */
+function stopHabitTimer(habitId) {
+  const challenge = getChallenge();
+  const startedAt = challenge.timers[habitId];
+  if (!startedAt) return;
+  
+  delete challenge.timers[habitId];
+  saveData();
+  updateHabitLogging(habitId);
+  
+  const habit = getHabit(habitId);
+  const parts = splitTimerSession(Date.parse(startedAt), Date.now()).filter(part => part.minutes >= 1);
+  if (!habit || parts.length === 0) {
+    showFeedback("Timer stopped - under a minute, nothing logged.");
+    return;
+  }
+  
+  parts.forEach(({ dateKey, minutes, endedAt }) => {
+    const day = daysBetween(challenge.startDate, dateKey) + 1;
+    if (day < 1 || day > challenge.length) return;
+    
+    const amount = convertTimerMinutes(habit, minutes);
+    const dayData = challenge.days[day];
+    if (day === challenge.currentDay && (!dayData || (!dayData.completed && !dayData.missed))) {
+      addHabitAmount(habitId, amount);
+      return;
+    }
+    
+    const record = dayData || createDayRecord(day, challenge);
+    const from = record[habitId] === undefined ? null : record[habitId];
+    const to = Math.round(((from || 0) + amount) * 100) / 100;
+    if (!record.entries) {
+      record.entries = {};
+    }
+    if (!record.entries[habitId]) {
+      record.entries[habitId] = [];
+    }
+    record.entries[habitId].push({ at: endedAt, amount });
+    recordDayCorrection(day, record, [{ habit: habitId, from, to }], "Timer stopped after the day was closed");
+    
+    loadCurrentDayUI();
+    renderCalendar();
+    showFeedback(`⏱ ${habit.label}: ${formatHabitValue(habit, amount)} added to day ${day}`);
+  });
+}
+
+/**
+ * Split a timer session at midnight: [{ dateKey, minutes, endedAt }] in order
+ */
+function splitTimerSession(startTime, endTime) {
+  const parts = [];
+  let time = startTime;
+  while (time < endTime) {
+    const dateKey = toDateKey(new Date(time));
+    const partEnd = Math.min(endTime, parseDateKey(addDays(dateKey, 1)).getTime());
+    parts.push({ dateKey, minutes: Math.round((partEnd - time) / 60000), endedAt: new Date(partEnd).toISOString() });
+    time = partEnd;
+  }
+  return parts;
+}
+
+/**
+ * A timer's minutes in the habit's unit (hours for habits measured in hours)
+ */
+function convertTimerMinutes(habit, minutes) {
+  return /^(h|hrs?|hours?)$/i.test((habit.unit || "").trim())
+    ? Math.round(minutes / 60 * 100) / 100
+    : minutes;
+}
+
+/**
+ * Elapsed time as "m:ss" or "h:mm:ss"
+ */
+function formatElapsed(milliseconds) {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Refresh a habit card's timer button and its list of today's entries
+ */
+function updateHabitLogging(habitId) {
+  const habit = getHabit(habitId);
+  if (!habit) return;
+  
+  const timerButton = document.getElementById(`timer-${habitId}`);
+  if (timerButton) {
+    const startedAt = getChallenge().timers[habitId];
+    timerButton.innerText = startedAt
+      ? `⏹ Stop ${formatElapsed(Date.now() - Date.parse(startedAt))}`
+      : "▶ Start timer";
+    timerButton.classList.toggle("running", !!startedAt);
+  }
+  
+  const entriesElement = document.getElementById(`entries-${habitId}`);
+  if (entriesElement) {
+    const entries = (getCurrentDayData().entries || {})[habitId] || [];
+    entriesElement.innerText = entries.map(entry => {
+      const time = new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `+${entry.amount} at ${time}`;
+    }).join(" · ");
+  }
+}
+
+/**
+ * Keep running timers ticking on screen; stops itself when none are left
+ */
+function startTimerTicker() {
+  if (timerTicker) return;
+  
+  timerTicker = setInterval(() => {
+    const running = Object.keys(getChallenge().timers);
+    if (running.length === 0) {
+      clearInterval(timerTicker);
+      timerTicker = null;
+      return;
+    }
+    running.forEach(updateHabitLogging);
+  }, 1000);
+}
+
+// ============================================
+// UI UPDATE FUNCTIONS
+// ============================================
+
+/**
+ * Build the habit cards on the dashboard from the habit definitions
+ */
+function renderHabitGrid() {
+  const gridElement = document.getElementById("habit-grid");
+  if (!gridElement) return;
+  
+  gridElement.innerHTML = "";
+  
+  getHabits().forEach(habit => {
+    const card = document.createElement("div");
+    card.className = "habit-card";
+    card.dataset.habit = habit.id;
+    
+    let inputHtml;
+    if (habit.type === 'boolean') {
+      inputHtml = `
+        <select id="input-${habit.id}">
+          <option value="">Done today?</option>
+          <option value="1">Yes</option>
+          <option value="0">No</option>
+        </select>`;
+    } else {
+      inputHtml = `<input type="number" id="input-${habit.id}" placeholder="${escapeHtml(habit.placeholder || habit.unit || "Value")}" min="0" step="${Number(habit.step) || "any"}">`;
+    }
+    
+    // Quick logging for number habits
+    let loggingHtml = "";
+    let quickLog = null;
+    if (habit.type !== 'boolean' && habit.logMode === 'increment') {
+      const amount = habit.step || 1;
+      loggingHtml = `<button class="habit-quick-btn">+${escapeHtml(amount)} ${escapeHtml(habit.unit || "")}</button>`;
+      quickLog = () => addHabitAmount(habit.id, amount);
+    } else if (habit.type !== 'boolean' && habit.logMode === 'timer') {
+      loggingHtml = `<button class="habit-quick-btn" id="timer-${habit.id}">▶ Start timer</button>`;
+      quickLog = () => toggleHabitTimer(habit.id);
+    }
+    
+    card.innerHTML = `
+      <h3>${escapeHtml(habit.icon)} ${escapeHtml(habit.label)} (${escapeHtml(describeHabitRule(habit, getCurrentDayData()))}) <span class="tick-icon" id="tick-${habit.id}" style="display:none;">✔</span></h3>
+      ${inputHtml}
+      <button class="habit-save-btn">Save</button>
+      ${loggingHtml}
+      <p class="habit-entries" id="entries-${habit.id}"></p>
+      <div class="progress-bar"><div class="progress-fill" id="progress-${habit.id}"></div></div>
+    `;
+    
+    // Handlers are attached here rather than inline, so ids never end up inside script
+    card.querySelector(".habit-save-btn").addEventListener("click", () => saveHabit(habit.id));
+    if (quickLog) {
+      card.querySelector(".habit-quick-btn").addEventListener("click", quickLog);
+    }
+    
+    gridElement.appendChild(card);
+  });
+  
+  setupMobileInputScrolling(gridElement);
+}
+
+/**
+ * Update UI for a specific habit card
+ * Shows/hides tick, updates progress bar, adds completed class
+ */
+function updateHabitUI(habit, value, isCompleted) {
+  const card = document.querySelector(`[data-habit="${habit}"]`);
+  if (!card) return;
+  
+  // Update tick icon
+  const tickIcon = document.getElementById(`tick-${habit}`);
+  if (tickIcon) {
+    tickIcon.style.display = isCompleted ? "inline" : "none";
+  }
+  
+  // Update progress bar (actual progress toward the target)
+  const progressFill = document.getElementById(`progress-${habit}`);
+  if (progressFill) {
+    const percent = isCompleted ? 100 : Math.round(getHabitProgress(habit, value, getCurrentDayData()) * 100);
+    progressFill.style.width = percent + "%";
     progressFill.style.transition = "width 0.3s ease";
   }
   
@@ -282,12 +1115,13 @@ function updateScoreDisplay() {
  * Load and display current day's data in the UI
  */
 function loadCurrentDayUI() {
+  const challenge = getChallenge();
   const dayData = getCurrentDayData();
-  const habits = ['sleep', 'water', 'workout', 'study', 'food'];
+  const habits = getHabits().map(habit => habit.id);
   
   habits.forEach(habit => {
     const value = dayData[habit];
-    const inputElement = document.getElementById(habit);
+    const inputElement = document.getElementById(`input-${habit}`);
     
     // Load value into input
     if (inputElement) {
@@ -301,37 +1135,58 @@ function loadCurrentDayUI() {
     // Update UI based on completion status
     const isCompleted = dayData.completedHabits[habit] === true;
     updateHabitUI(habit, value, isCompleted);
+    updateHabitLogging(habit);
   });
   
+  // Timers started before a reload keep counting
+  if (Object.keys(challenge.timers).length > 0) {
+    startTimerTicker();
+  }
+  
+  loadJournalUI();
+  
   // Update score
   updateScoreDisplay();
   
   // Update current day display
   const currentDayElement = document.getElementById("currentDay");
   if (currentDayElement) {
-    currentDayElement.innerText = appData.currentDay;
+    currentDayElement.innerText = challenge.currentDay;
+  }
+  
+  // Update current date display
+  const currentDateElement = document.getElementById("currentDate");
+  if (currentDateElement) {
+    if (isChallengeOver()) {
+      currentDateElement.innerText = `Challenge ended on ${formatDate(getDateForDay(challenge.length))}`;
+    } else if (isRestDay(challenge, challenge.currentDay)) {
+      const required = getRequiredHabits(dayData).map(habit => habit.label);
+      currentDateElement.innerText = `${formatDate(dayData.date)} · 🛌 Rest day - ${required.length > 0 ? `only ${required.join(", ")} required` : "nothing required"}`;
+    } else {
+      currentDateElement.innerText = formatDate(dayData.date);
+    }
   }
   
   // Update streak
   const streakElement = document.getElementById("streak");
   if (streakElement) {
-    streakElement.innerText = appData.streak + " 🔥";
+    streakElement.innerText = formatStreak(challenge);
   }
   
-  // Update progress (completed days / 100)
+  // Update progress (completed days / challenge length)
   const progressElement = document.getElementById("progress");
   if (progressElement) {
-    const completedDays = Object.keys(appData.days).filter(day => {
-      return appData.days[day].completed === true;
+    const completedDays = Object.keys(challenge.days).filter(day => {
+      return challenge.days[day].completed === true;
     }).length;
-    progressElement.innerText = `${completedDays} / 100`;
+    progressElement.innerText = `${completedDays} / ${challenge.length}`;
   }
   
-  // Enable/disable inputs based on completion status
+  // Enable/disable inputs based on completion status (completed or missed days are locked)
   habits.forEach(habit => {
-    const inputElement = document.getElementById(habit);
+    const inputElement = document.getElementById(`input-${habit}`);
     if (inputElement) {
-      if (dayData.completed) {
+      if (dayData.completed || dayData.missed) {
         inputElement.disabled = true;
         inputElement.style.opacity = "0.6";
       } else {
@@ -348,67 +1203,119 @@ function loadCurrentDayUI() {
 
 /**
  * Complete the current day
- * Called when all 5 habits are completed
- * Increases streak, moves to next day, locks previous day
+ * Called when all habits are completed
+ * Increases streak and locks the day - the next day starts on the next calendar date
  */
-function completeCurrentDay() {
+function completeCurrentDay(undoSnapshot) {
+  const challenge = getChallenge();
   const dayData = getCurrentDayData();
-  const completedDayNum = appData.currentDay; // Capture before incrementing
+  const completedDayNum = challenge.currentDay;
   
   // Mark day as completed
   dayData.completed = true;
   
-  // Increase streak
-  appData.streak++;
+  // Save data and recount streak
+  updateStreak();
   
-  // Move to next day (if not already at day 100)
-  if (appData.currentDay < 100) {
-    appData.currentDay++;
+  // Show celebration, with Undo back to before the last habit was saved
+  if (undoSnapshot) {
+    showUndoToast("🎉 Day Completed! All habits done!", undoSnapshot);
+  } else {
+    showFeedback("🎉 Day Completed! All habits done!");
   }
   
-  // Save data
-  saveData();
-  
-  // Show celebration
-  showFeedback("🎉 Day Completed! All habits done! Moving to next day...");
-  
-  // Reload UI for new day
+  // Reload UI for the locked day
   setTimeout(() => {
     loadCurrentDayUI();
     renderCalendar();
     
-    // Show alert
-    alert(`Congratulations! Day ${completedDayNum} completed!\n\nStreak: ${appData.streak} days 🔥\n\nStarting Day ${appData.currentDay}...`);
+    // Undone in the meantime
+    if (!getChallenge().days[completedDayNum] || !getChallenge().days[completedDayNum].completed) return;
+    
+    // Show congratulations, with the option to share the day
+    const nextStep = completedDayNum < challenge.length
+      ? `Come back tomorrow for Day ${completedDayNum + 1}!`
+      : `You finished all ${challenge.length} days! 🏆`;
+    showModal(`Congratulations! Day ${completedDayNum} completed!`, `Streak: ${getChallenge().streak} days 🔥\n\n${nextStep}`, [
+      { label: "📤 Share", value: "share" },
+      { label: "OK", value: "ok", primary: true, cancel: true }
+    ]).then(choice => {
+      if (choice === "share") {
+        openShareCard(completedDayNum < challenge.length ? `Day ${completedDayNum} completed! 🎉` : `All ${challenge.length} days completed! 🏆`);
+      }
+    });
   }, 1000);
 }
 
 /**
  * Update streak based on consecutive completed days
- * Streak resets if a day is skipped
+ * Saves and updates the dashboard for the active challenge
  */
 function updateStreak() {
+  const streak = calculateStreak(getChallenge());
+  getChallenge().streak = streak;
+  saveData();
+  
+  // Update UI
+  const streakElement = document.getElementById("streak");
+  if (streakElement) {
+    streakElement.innerText = formatStreak(getChallenge());
+  }
+}
+
+/**
+ * Streak for the dashboard, with saved-up freezes when they are turned on
+ * e.g. "12 🔥 ❄️2"
+ */
+function formatStreak(challenge) {
+  const freezes = challenge.rules.freezeEvery > 0 ? ` ❄️${challenge.freezes}` : "";
+  return `${challenge.streak} 🔥${freezes}`;
+}
+
+/**
+ * Count the consecutive completed days up to a challenge's current day
+ * Walks the days in order so streak freezes are earned and spent as they happened:
+ * every freezeEvery completed days in a row earn a freeze (up to maxFreezes),
+ * and a missed day uses one up instead of breaking the streak (it is marked frozen)
+ * Today doesn't break the streak until its date has passed
+ * Also updates the challenge's available freezes
+ */
+function calculateStreak(challenge) {
+  const rules = challenge.rules;
   let streak = 0;
+  let run = 0; // completed days in a row, for earning freezes
+  let freezes = 0;
   
-  // Check backwards from current day
-  for (let day = appData.currentDay; day >= 1; day--) {
-    const dayData = appData.days[day];
+  for (let day = 1; day <= challenge.currentDay; day++) {
+    const dayData = challenge.days[day];
+    if (dayData) {
+      delete dayData.frozen;
+    }
     
     if (dayData && dayData.completed) {
       streak++;
+      run++;
+      if (rules.freezeEvery > 0 && run % rules.freezeEvery === 0) {
+        freezes = Math.min(freezes + 1, rules.maxFreezes);
+      }
+    } else if (day === challenge.currentDay && !(dayData && dayData.missed)) {
+      // Today is still in progress
+      continue;
+    } else if (freezes > 0) {
+      // A freeze covers the missed day: the streak neither grows nor breaks
+      freezes--;
+      if (dayData) {
+        dayData.frozen = true;
+      }
     } else {
       // Streak breaks if any day is not completed
-      break;
+      streak = 0;
+      run = 0;
     }
   }
   
-  appData.streak = streak;
-  saveData();
-  
-  // Update UI
-  const streakElement = document.getElementById("streak");
-  if (streakElement) {
-    streakElement.innerText = streak + " 🔥";
-  }
+  challenge.freezes = freezes;
+  return streak;
 }
 
 // ============================================
@@ -416,49 +1323,83 @@ function updateStreak() {
 // ============================================
 
 /**
- * Render the 100-day calendar
+ * Render the calendar of the active challenge
  * Shows completed days in green, incomplete in red, current day highlighted
  */
 function renderCalendar() {
   const calendarElement = document.getElementById("calendar");
   if (!calendarElement) return;
   
+  const challenge = getChallenge();
+  fillCalendarGrid(calendarElement, challenge, challenge.currentDay, openDay);
+}
+
+/**
+ * Draw the day cells of a challenge run into a calendar element
+ * Used for the current challenge and for read-only archived runs
+ * highlightDay: day to mark as current (null for none)
+ */
+function fillCalendarGrid(calendarElement, run, highlightDay, onSelect) {
   calendarElement.innerHTML = "";
   
-  for (let day = 1; day <= 100; day++) {
+  for (let day = 1; day <= run.length; day++) {
     const cell = document.createElement("div");
     cell.innerText = day;
+    cell.title = formatDate(addDays(run.startDate, day - 1));
     cell.style.cursor = "pointer";
     
-    const dayData = appData.days[day];
+    const state = getCalendarDayState(run, day);
+    if (state) {
+      cell.classList.add(state);
+    }
     
-    if (dayData && dayData.completed) {
-      // Completed day - green
-      cell.classList.add("done");
-    } else if (dayData && !dayData.completed && day < appData.currentDay) {
-      // Incomplete past day - red
-      cell.classList.add("incomplete");
+    if (isRestDay(run, day)) {
+      // Scheduled rest day - marked with a corner badge
+      cell.classList.add("rest");
+      cell.title += " (rest day)";
     }
     
-    if (day === appData.currentDay) {
+    if (day === highlightDay) {
       // Current day - highlighted
       cell.classList.add("current");
     }
     
     // Click to view day details
     cell.addEventListener("click", () => {
-      showDayDetails(day);
+      onSelect(day);
     });
     
     calendarElement.appendChild(cell);
   }
 }
 
+/**
+ * How a calendar cell is coloured (also used for the share card)
+ * "done" (green), "frozen" (missed day covered by a streak freeze - blue),
+ * "incomplete" (missed or incomplete past day - red) or null for today and days ahead
+ */
+function getCalendarDayState(run, day) {
+  const dayData = run.days[day];
+  if (!dayData) {
+    return null;
+  }
+  if (dayData.completed) {
+    return "done";
+  }
+  if (dayData.frozen) {
+    return "frozen";
+  }
+  if (dayData.missed || day < run.currentDay) {
+    return "incomplete";
+  }
+  return null;
+}
+
 /**
  * Show details for a specific day
  */
 function showDayDetails(day) {
-  const dayData = appData.days[day];
+  const dayData = getChallenge().days[day];
   const detailsElement = document.getElementById("day-details");
   const dayNumElement = document.getElementById("selected-day-num");
   const contentElement = document.getElementById("day-details-content");
@@ -469,328 +1410,6511 @@ function showDayDetails(day) {
     dayNumElement.innerText = day;
   }
   
-  if (!dayData) {
-    contentElement.innerHTML = "<p>No data recorded for this day.</p>";
-  } else {
-    let html = `<p><strong>Status:</strong> ${dayData.completed ? "✅ Completed" : "❌ Incomplete"}</p>`;
-    html += `<p><strong>Score:</strong> ${dayData.score}%</p>`;
-    html += `<p><strong>Habits:</strong></p>`;
-    html += `<ul style="margin-left:1.5rem; margin-top:0.5rem;">`;
-    
-    const habits = [
-      { key: 'sleep', label: 'Sleep', unit: 'hours' },
-      { key: 'water', label: 'Water', unit: 'glasses' },
-      { key: 'workout', label: 'Workout', unit: 'minutes' },
-      { key: 'study', label: 'Study', unit: 'minutes' },
-      { key: 'food', label: 'Food', unit: 'calories' }
-    ];
-    
-    habits.forEach(habit => {
-      const value = dayData[habit.key];
-      const completed = dayData.completedHabits[habit.key];
-      const status = completed ? "✅" : "❌";
-      html += `<li>${status} ${habit.label}: ${value !== null ? value + " " + habit.unit : "Not logged"}</li>`;
-    });
-    
-    html += `</ul>`;
-    contentElement.innerHTML = html;
+  contentElement.innerHTML = buildDayDetailsHtml(dayData, getHabits(), getDateForDay(day));
+  if (isDayEditable(day)) {
+    contentElement.innerHTML += `<button class="secondary" onclick="editDay(${day})">✏️ Edit Day</button>`;
   }
   
   detailsElement.style.display = "block";
 }
 
 /**
- * Close day details view
+ * Details markup for one day record (status, score and every habit value)
  */
-function closeDayDetails() {
-  const detailsElement = document.getElementById("day-details");
-  if (detailsElement) {
-    detailsElement.style.display = "none";
+function buildDayDetailsHtml(dayData, habits, dateKey) {
+  if (!dayData) {
+    return `<p><strong>Date:</strong> ${formatDate(dateKey)}</p><p>No data recorded for this day.</p>`;
+  }
+  
+  let status = "❌ Incomplete";
+  if (dayData.completed) {
+    status = "✅ Completed";
+  } else if (dayData.frozen) {
+    status = "❄️ Missed - covered by a streak freeze";
+  } else if (dayData.missed) {
+    status = "❌ Missed";
+  }
+  let html = `<p><strong>Date:</strong> ${formatDate(dayData.date || dateKey)}</p>`;
+  html += `<p><strong>Status:</strong> ${status}</p>`;
+  html += `<p><strong>Score:</strong> ${dayData.score}%</p>`;
+  html += `<p><strong>Habits:</strong></p>`;
+  html += `<ul style="margin-left:1.5rem; margin-top:0.5rem;">`;
+  
+  habits.forEach(habit => {
+    const value = dayData[habit.id];
+    const completed = dayData.completedHabits[habit.id];
+    const status = completed ? "✅" : "❌";
+    html += `<li>${status} ${escapeHtml(habit.label)}: ${escapeHtml(formatHabitValue(habit, value))} <span class="day-target">(target ${escapeHtml(describeHabitRule(habit, dayData))})</span></li>`;
+  });
+  
+  html += `</ul>`;
+  
+  if (dayData.mood || dayData.energy) {
+    const mood = dayData.mood ? `${MOOD_LABELS[dayData.mood - 1]} ${dayData.mood}/5` : "-";
+    const energy = dayData.energy ? `${ENERGY_LABELS[dayData.energy - 1]} ${dayData.energy}/5` : "-";
+    html += `<p style="margin-top:1rem;"><strong>Mood:</strong> ${mood} &nbsp; <strong>Energy:</strong> ${energy}</p>`;
+  }
+  if (dayData.journal) {
+    html += `<p style="margin-top:1rem;"><strong>Journal:</strong></p>`;
+    html += `<p class="journal-text">${escapeHtml(dayData.journal)}</p>`;
   }
+  
+  html += buildDayHistoryHtml(dayData, habits);
+  return html;
 }
 
-// ============================================
-// MOTIVATION
-// ============================================
-
 /**
- * Load motivation text
+ * Change history of a corrected day, newest first
  */
-function loadMotivation() {
-  const whyElement = document.getElementById("why");
-  if (whyElement && appData.whyStarted) {
-    whyElement.value = appData.whyStarted;
-  }
+function buildDayHistoryHtml(dayData, habits) {
+  if (!Array.isArray(dayData.history) || dayData.history.length === 0) return "";
+  
+  let html = `<p style="margin-top:1rem;"><strong>Change history:</strong></p>`;
+  html += `<ul class="day-history">`;
+  
+  dayData.history.slice().reverse().forEach(entry => {
+    const changes = entry.changes.map(change => {
+      if (change.field) {
+        const label = DAY_NOTE_FIELDS[change.field] || change.field;
+        return `${escapeHtml(label)}: ${escapeHtml(formatDayNote(change.field, change.from))} → ${escapeHtml(formatDayNote(change.field, change.to))}`;
+      }
+      const habit = habits.find(candidate => candidate.id === change.habit) || { id: change.habit, label: change.habit };
+      return `${escapeHtml(habit.label)}: ${escapeHtml(formatHabitValue(habit, change.from))} → ${escapeHtml(formatHabitValue(habit, change.to))}`;
+    });
+    html += `
+      <li>
+        <span class="day-history-time">${escapeHtml(new Date(entry.at).toLocaleString())}</span>
+        ${changes.join("<br>")}
+        <em>"${escapeHtml(entry.reason)}"</em>
+      </li>`;
+  });
+  
+  html += `</ul>`;
+  return html;
 }
 
 /**
- * Save motivation text
+ * A mood, energy or journal value as shown in the change history
+ * Long journal entries are cut short
  */
-function saveWhy() {
-  const whyElement = document.getElementById("why");
-  if (whyElement) {
-    appData.whyStarted = whyElement.value;
-    saveData();
-    showFeedback("Motivation saved!");
-  }
+function formatDayNote(field, value) {
+  if (value === null || value === undefined) return "-";
+  if (field === 'mood') return `${MOOD_LABELS[value - 1]} ${value}/5`;
+  if (field === 'energy') return `${ENERGY_LABELS[value - 1]} ${value}/5`;
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
 }
 
-// ============================================
-// NAVIGATION
-// ============================================
-
+/**
+ * Days that can be corrected: any day before today, and today once it is completed
+ * (today's open day is logged from the dashboard as usual)
+ */
+function isDayEditable(day) {
+  const challenge = getChallenge();
+  if (day > challenge.currentDay) return false;
+  if (day < challenge.currentDay) return true;
+  const dayData = challenge.days[day];
+  return !!(dayData && (dayData.completed || dayData.missed));
+}
 
-function setupNavigation() {
-  // Handle all navigation buttons (top and bottom)
-  const allNavButtons = document.querySelectorAll(".nav-btn, .nav-btn-bottom");
+/**
+ * Show the edit form for a past day in the day details panel
+ */
+function editDay(day) {
+  const contentElement = document.getElementById("day-details-content");
+  if (!contentElement || !isDayEditable(day)) return;
   
-  allNavButtons.forEach(btn => {
-    btn.addEventListener("click", () => {
-      // Update active page
-      document.querySelectorAll(".page").forEach(p => p.classList.remove("active"));
-      const pageId = btn.dataset.page === "progress" ? "progressPage" : btn.dataset.page || "dashboard";
-      const pageElement = document.getElementById(pageId);
-      if (pageElement) {
-        pageElement.classList.add("active");
-      }
-      
-      // Update active nav buttons (both top and bottom)
-      document.querySelectorAll(".nav-btn, .nav-btn-bottom").forEach(b => b.classList.remove("active"));
-      allNavButtons.forEach(b => {
-        if (b.dataset.page === btn.dataset.page) {
-          b.classList.add("active");
-        }
-      });
-      
-      // Re-render calendar if on progress page
-      if (pageId === "progressPage") {
-        renderCalendar();
-      }
-      
-      // Scroll to top on mobile
-      if (window.innerWidth < 768) {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-      }
-    });
+  const dayData = getChallenge().days[day] || createDayRecord(day);
+  
+  let html = `<p><strong>Date:</strong> ${formatDate(dayData.date || getDateForDay(day))}</p>`;
+  html += `<p class="settings-hint">Correct the values below. Clear a field to remove a value.</p>`;
+  
+  getHabits().forEach(habit => {
+    const value = dayData[habit.id];
+    let inputHtml;
+    if (habit.type === 'boolean') {
+      inputHtml = `
+        <select id="edit-${habit.id}">
+          <option value="">Not logged</option>
+          <option value="1"${value === 1 ? " selected" : ""}>Yes</option>
+          <option value="0"${value === 0 ? " selected" : ""}>No</option>
+        </select>`;
+    } else {
+      const shown = Number.isFinite(value) ? value : "";
+      inputHtml = `<input type="number" id="edit-${habit.id}" value="${shown}" placeholder="${escapeHtml(habit.unit || "Value")}" min="0" step="${Number(habit.step) || "any"}">`;
+    }
+    html += `
+      <div class="day-edit-row">
+        <label for="edit-${habit.id}">${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)} (${escapeHtml(describeHabitRule(habit, dayData))})</label>
+        ${inputHtml}
+      </div>`;
   });
+  
+  const ratingSelect = (field, labels) => `
+    <div class="day-edit-row">
+      <label for="edit-${field}">${DAY_NOTE_FIELDS[field]}</label>
+      <select id="edit-${field}">
+        <option value="">Not rated</option>
+        ${labels.map((label, index) => `<option value="${index + 1}"${dayData[field] === index + 1 ? " selected" : ""}>${label} ${index + 1}/5</option>`).join("")}
+      </select>
+    </div>`;
+  html += ratingSelect('mood', MOOD_LABELS);
+  html += ratingSelect('energy', ENERGY_LABELS);
+  html += `
+    <div class="day-edit-row">
+      <label for="edit-journal">${DAY_NOTE_FIELDS.journal}</label>
+      <textarea id="edit-journal" class="journal-input" placeholder="How did the day go?">${escapeHtml(dayData.journal || "")}</textarea>
+    </div>`;
+  
+  html += `
+    <div class="day-edit-row">
+      <label for="edit-reason">Reason for the change (required)</label>
+      <input type="text" id="edit-reason" maxlength="200" placeholder="e.g. Forgot to log my evening workout">
+    </div>
+    <button onclick="saveDayEdit(${day})">Save Changes</button>
+    <button class="secondary" onclick="showDayDetails(${day})">Cancel</button>`;
+  
+  contentElement.innerHTML = html;
+  setupMobileInputScrolling(contentElement);
 }
 
-// ============================================
-// FEEDBACK MESSAGES
-// ============================================
-
 /**
- * Show temporary feedback message
+ * Save a corrected day: recompute its score and completion, record what changed and why,
+ * then recount the streak
  */
-function showFeedback(message) {
-  const feedback = document.createElement('div');
-  feedback.textContent = message;
-  feedback.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: linear-gradient(135deg, #6366f1, #8b5cf6);
-    color: white;
-    padding: 1rem 1.5rem;
-    border-radius: 10px;
-    z-index: 1000;
-    animation: slideIn 0.3s ease;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-  `;
+function saveDayEdit(day) {
+  const challenge = getChallenge();
+  if (!isDayEditable(day)) return;
   
-  document.body.appendChild(feedback);
+  const reasonElement = document.getElementById("edit-reason");
+  const reason = reasonElement ? reasonElement.value.trim() : "";
+  if (!reason) {
+    showAlert("Please give a reason for the change!");
+    return;
+  }
   
-  setTimeout(() => {
-    feedback.style.animation = 'slideOut 0.3s ease';
-    setTimeout(() => feedback.remove(), 300);
-  }, 3000);
-}
-
-// Add animation styles
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes slideIn {
-    from {
-      transform: translateX(100%);
-      opacity: 0;
+  const dayData = challenge.days[day] || createDayRecord(day, challenge);
+  const changes = [];
+  
+  for (const habit of getHabits()) {
+    const input = document.getElementById(`edit-${habit.id}`);
+    if (!input) continue;
+    
+    const rawValue = input.value.trim();
+    let value = null;
+    if (rawValue !== "") {
+      value = parseHabitValue(habit, rawValue);
+      if (value === null) {
+        showAlert(`Please enter a valid number for ${habit.label}!`);
+        return;
+      }
     }
-    to {
-      transform: translateX(0);
-      opacity: 1;
+    
+    const oldValue = dayData[habit.id] === undefined ? null : dayData[habit.id];
+    if (value !== oldValue) {
+      changes.push({ habit: habit.id, from: oldValue, to: value });
     }
   }
-  @keyframes slideOut {
-    from {
-      transform: translateX(0);
-      opacity: 1;
+  
+  // Journal, mood and energy: empty means not filled in
+  Object.keys(DAY_NOTE_FIELDS).forEach(field => {
+    const input = document.getElementById(`edit-${field}`);
+    if (!input) return;
+    
+    const rawValue = input.value.trim();
+    const value = rawValue === "" ? null : (field === 'journal' ? rawValue : Number(rawValue));
+    const oldValue = dayData[field] === undefined ? null : dayData[field];
+    if (value !== oldValue) {
+      changes.push({ field, from: oldValue, to: value });
     }
-    to {
-      transform: translateX(100%);
-      opacity: 0;
+  });
+  
+  if (changes.length === 0) {
+    showAlert("Nothing was changed.");
+    return;
+  }
+  
+  recordDayCorrection(day, dayData, changes, reason);
+  
+  loadCurrentDayUI();
+  renderCalendar();
+  showDayDetails(day);
+  showFeedback(`✏️ Day ${day} updated`);
+}
+
+/**
+ * Apply changes to a closed day of the active challenge: rescore it, record what changed
+ * and why in its history, recount the streak and save
+ * changes: [{ habit, from, to }] for habit values, [{ field, from, to }] for the journal, mood and energy
+ */
+function recordDayCorrection(day, dayData, changes, reason) {
+  const challenge = getChallenge();
+  
+  changes.forEach(change => {
+    if (!change.field) {
+      dayData[change.habit] = change.to;
+    } else if (change.to === null) {
+      // Left out when empty, as on the dashboard
+      delete dayData[change.field];
+    } else {
+      dayData[change.field] = change.to;
     }
+  });
+  evaluateDay(dayData);
+  // A past day that is no longer complete counts as missed again
+  if (!dayData.completed && (day < challenge.currentDay || isChallengeOver(challenge))) {
+    dayData.missed = true;
   }
-`;
-document.head.appendChild(style);
+  
+  if (!Array.isArray(dayData.history)) {
+    dayData.history = [];
+  }
+  dayData.history.push({ at: new Date().toISOString(), reason, changes });
+  challenge.days[day] = dayData;
+  
+  // Save data and recount streak
+  updateStreak();
+}
+
+/**
+ * Close day details view
+ */
+function closeDayDetails() {
+  const detailsElement = document.getElementById("day-details");
+  if (detailsElement) {
+    detailsElement.style.display = "none";
+  }
+}
 
 // ============================================
-// INITIALIZATION
+// STATS & TRENDS
 // ============================================
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 /**
- * Initialize the application
- * Loads data, sets up UI, renders calendar
+ * Days that count toward stats: completed, missed, or with anything logged
+ * Returns [ { day, data } ] sorted by day number
  */
-function init() {
-  try {
-    // Ensure data structure is valid
-    if (!appData.days) {
-      appData.days = {};
+function getTrackedDays(days) {
+  return Object.keys(days)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(day => ({ day, data: days[day] }))
+    .filter(({ data }) => data.completed || data.missed || countLoggedValues(data) > 0);
+}
+
+/**
+ * Longest run of consecutive completed days
+ */
+function getLongestStreak(days) {
+  let longest = 0;
+  let current = 0;
+  let previousDay = 0;
+  
+  Object.keys(days)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach(day => {
+      const dayData = days[day];
+      if (day !== previousDay + 1) {
+        current = 0;
+      }
+      previousDay = day;
+      
+      if (dayData.completed) {
+        current++;
+        longest = Math.max(longest, current);
+      } else if (!dayData.frozen) {
+        // Frozen days keep the streak going without adding to it
+        current = 0;
+      }
+    });
+  
+  return longest;
+}
+
+/**
+ * Compute all stats for a set of day records and habit definitions
+ * Takes the data as arguments so past challenges can be analysed the same way
+ */
+function computeStats(days, habits, startDate) {
+  const tracked = getTrackedDays(days);
+  const count = tracked.length;
+  
+  const stats = {
+    trackedDays: count,
+    completedDays: tracked.filter(({ data }) => data.completed).length,
+    averageScore: 0,
+    bestDay: null,
+    worstDay: null,
+    longestStreak: getLongestStreak(days),
+    habits: [],
+    weekdays: WEEKDAY_NAMES.map(name => ({ name, days: 0, completed: 0, totalScore: 0 }))
+  };
+  
+  if (count === 0) {
+    return stats;
+  }
+  
+  stats.averageScore = Math.round(tracked.reduce((sum, { data }) => sum + (data.score || 0), 0) / count);
+  
+  // Best and worst by score (earliest day wins a tie)
+  tracked.forEach(entry => {
+    if (!stats.bestDay || entry.data.score > stats.bestDay.data.score) {
+      stats.bestDay = entry;
+    }
+    if (!stats.worstDay || entry.data.score < stats.worstDay.data.score) {
+      stats.worstDay = entry;
+    }
+  });
+  
+  stats.habits = habits.map(habit => {
+    const series = tracked.map(({ day, data }) => ({ day, value: data[habit.id] }));
+    const logged = series.filter(point => point.value !== null && point.value !== undefined);
+    const completed = tracked.filter(({ data }) => data.completedHabits && data.completedHabits[habit.id]).length;
+    return {
+      habit,
+      series,
+      average: logged.length ? logged.reduce((sum, point) => sum + point.value, 0) / logged.length : null,
+      completionRate: completed / count
+    };
+  });
+  
+  tracked.forEach(({ day, data }) => {
+    const dateKey = data.date || addDays(startDate, day - 1);
+    const weekday = stats.weekdays[parseDateKey(dateKey).getDay()];
+    weekday.days++;
+    weekday.totalScore += data.score || 0;
+    if (data.completed) {
+      weekday.completed++;
+    }
+  });
+  
+  return stats;
+}
+
+/**
+ * Horizontal percentage bar used by the stats lists
+ */
+function statBarHtml(label, fraction, detail) {
+  const percent = Math.round(fraction * 100);
+  return `
+    <div class="stat-bar-row">
+      <div class="stat-bar-label"><span>${label}</span><span>${detail || percent + "%"}</span></div>
+      <div class="progress-bar"><div class="progress-fill" style="width:${percent}%"></div></div>
+    </div>
+  `;
+}
+
+/**
+ * Draw a simple line chart on a canvas
+ * points: [ { day, value } ] - missing values leave a gap
+ * options: { color, maxDay, targets: [numbers drawn as dashed lines] }
+ */
+function drawLineChart(canvas, points, options = {}) {
+  const context = canvas.getContext && canvas.getContext("2d");
+  if (!context) return;
+  
+  // Sharp lines on high-DPI screens
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 300;
+  const height = canvas.clientHeight || 160;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  
+  const padding = { top: 12, right: 12, bottom: 22, left: 36 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  
+  const values = points.filter(point => point.value !== null && point.value !== undefined).map(point => point.value);
+  const targets = options.targets || [];
+  const maxValue = Math.max(1, ...values, ...targets) * 1.1;
+  const maxDay = Math.max(options.maxDay || 1, ...points.map(point => point.day));
+  
+  const x = day => padding.left + (maxDay > 1 ? (day - 1) / (maxDay - 1) : 0.5) * plotWidth;
+  const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+  
+  // Axes and labels
+  context.strokeStyle = "rgba(255, 255, 255, 0.15)";
+  context.lineWidth = 1;
+  context.beginPath();
+  context.moveTo(padding.left, padding.top);
+  context.lineTo(padding.left, padding.top + plotHeight);
+  context.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+  context.stroke();
+  
+  context.fillStyle = "#94a3b8";
+  context.font = "10px Inter, sans-serif";
+  context.textAlign = "right";
+  context.fillText(String(Math.round(maxValue)), padding.left - 6, padding.top + 8);
+  context.fillText("0", padding.left - 6, padding.top + plotHeight);
+  context.textAlign = "center";
+  context.fillText("Day 1", padding.left + 14, height - 6);
+  context.fillText(`Day ${maxDay}`, padding.left + plotWidth - 18, height - 6);
+  
+  // Target lines
+  context.setLineDash([4, 4]);
+  context.strokeStyle = "rgba(16, 185, 129, 0.6)";
+  targets.forEach(target => {
+    context.beginPath();
+    context.moveTo(padding.left, y(target));
+    context.lineTo(padding.left + plotWidth, y(target));
+    context.stroke();
+  });
+  context.setLineDash([]);
+  
+  // Data line, broken where nothing was logged
+  context.strokeStyle = options.color || "#8b5cf6";
+  context.fillStyle = options.color || "#8b5cf6";
+  context.lineWidth = 2;
+  context.beginPath();
+  let drawing = false;
+  points.forEach(point => {
+    if (point.value === null || point.value === undefined) {
+      drawing = false;
+      return;
+    }
+    if (drawing) {
+      context.lineTo(x(point.day), y(point.value));
+    } else {
+      context.moveTo(x(point.day), y(point.value));
+      drawing = true;
     }
-    if (typeof appData.currentDay !== 'number' || appData.currentDay < 1) {
-      appData.currentDay = 1;
+  });
+  context.stroke();
+  
+  points.forEach(point => {
+    if (point.value === null || point.value === undefined) return;
+    context.beginPath();
+    context.arc(x(point.day), y(point.value), 2.5, 0, Math.PI * 2);
+    context.fill();
+  });
+}
+
+/**
+ * Render the Stats page from the current challenge
+ */
+function renderStats() {
+  const summaryElement = document.getElementById("stats-summary");
+  const completionElement = document.getElementById("stats-completion");
+  const weekdaysElement = document.getElementById("stats-weekdays");
+  const chartsElement = document.getElementById("stats-charts");
+  const insightsElement = document.getElementById("stats-insights");
+  if (!summaryElement || !completionElement || !weekdaysElement || !chartsElement) return;
+  
+  renderLeaderboard();
+  
+  const challenge = getChallenge();
+  const stats = computeStats(challenge.days, challenge.habits, challenge.startDate);
+  
+  if (stats.trackedDays === 0) {
+    summaryElement.innerHTML = `<p class="settings-hint">No days logged yet. Stats appear once you start saving habits.</p>`;
+    completionElement.innerHTML = "";
+    weekdaysElement.innerHTML = "";
+    chartsElement.innerHTML = "";
+    if (insightsElement) {
+      insightsElement.innerHTML = "";
     }
-    if (typeof appData.streak !== 'number' || appData.streak < 0) {
-      appData.streak = 0;
+    return;
+  }
+  
+  const dayLabel = entry => `Day ${entry.day} · ${entry.data.score}%`;
+  summaryElement.innerHTML = `
+    <div class="stat-box"><p>Average Score</p><h2>${stats.averageScore}%</h2></div>
+    <div class="stat-box"><p>Longest Streak</p><h2>${stats.longestStreak} 🔥</h2></div>
+    <div class="stat-box"><p>Best Day</p><h2>${dayLabel(stats.bestDay)}</h2></div>
+    <div class="stat-box"><p>Worst Day</p><h2>${dayLabel(stats.worstDay)}</h2></div>
+  `;
+  
+  completionElement.innerHTML = stats.habits.map(({ habit, completionRate, average }) => {
+    const averageText = average !== null && habit.type !== 'boolean'
+      ? ` · avg ${Math.round(average * 10) / 10}${habit.unit ? " " + escapeHtml(habit.unit) : ""}`
+      : "";
+    return statBarHtml(`${escapeHtml(habit.icon)} ${escapeHtml(habit.label)}`, completionRate, `${Math.round(completionRate * 100)}%${averageText}`);
+  }).join("");
+  
+  weekdaysElement.innerHTML = stats.weekdays.map(weekday => {
+    if (weekday.days === 0) {
+      return statBarHtml(weekday.name, 0, "No data");
     }
+    const averageScore = Math.round(weekday.totalScore / weekday.days);
+    return statBarHtml(weekday.name, averageScore / MAX_SCORE, `avg ${averageScore}% · ${weekday.completed}/${weekday.days} completed`);
+  }).join("");
+  
+  if (insightsElement) {
+    insightsElement.innerHTML = buildInsightsHtml(computeMoodInsights(challenge.days, challenge.habits));
+  }
+  
+  chartsElement.innerHTML = "";
+  stats.habits.forEach(({ habit, series }) => {
+    const card = document.createElement("div");
+    card.className = "chart-card";
+    card.innerHTML = `<h3>${escapeHtml(habit.icon)} ${escapeHtml(habit.label)}</h3><canvas></canvas>`;
+    chartsElement.appendChild(card);
     
-    // Update streak based on completed days
-    updateStreak();
+    // Today's targets (earlier days may have had others)
+    const rule = getRuleForDay(challenge, habit, challenge.currentDay);
+    const targets = [rule.min, rule.max].filter(target => target !== null && target !== undefined);
+    drawLineChart(card.querySelector("canvas"), series, {
+      maxDay: challenge.currentDay,
+      targets: habit.type === 'boolean' ? [1] : targets
+    });
+  });
+}
+
+// ============================================
+// REPORT - PRINTABLE SUMMARY
+// ============================================
+
+// Days in the report when the page is first opened (a week, for weekly reviews)
+const DEFAULT_REPORT_DAYS = 7;
+
+/**
+ * Day range picked in the report controls, kept within the challenge
+ * Returns { from, to } with from <= to
+ */
+function getReportRange() {
+  const challenge = getChallenge();
+  const fromElement = document.getElementById("report-from");
+  const toElement = document.getElementById("report-to");
+  const clamp = value => Math.min(challenge.length, Math.max(1, Math.round(value)));
+  
+  let from = Number(fromElement.value);
+  let to = Number(toElement.value);
+  if (!fromElement.value || !Number.isFinite(from)) {
+    from = challenge.currentDay - DEFAULT_REPORT_DAYS + 1;
+  }
+  if (!toElement.value || !Number.isFinite(to)) {
+    to = challenge.currentDay;
+  }
+  from = clamp(from);
+  to = clamp(to);
+  if (from > to) {
+    [from, to] = [to, from];
+  }
+  
+  fromElement.value = from;
+  toElement.value = to;
+  fromElement.max = challenge.length;
+  toElement.max = challenge.length;
+  return { from, to };
+}
+
+/**
+ * Set the range from one of the quick buttons: "week" (last 7 days) or "all"
+ */
+function setReportRange(preset) {
+  const challenge = getChallenge();
+  document.getElementById("report-from").value = preset === "all" ? 1 : challenge.currentDay - DEFAULT_REPORT_DAYS + 1;
+  document.getElementById("report-to").value = preset === "all" ? challenge.length : challenge.currentDay;
+  renderReport();
+}
+
+/**
+ * Day records of a challenge between two day numbers (inclusive)
+ */
+function getDaysInRange(days, from, to) {
+  const inRange = {};
+  Object.keys(days).map(Number).filter(day => day >= from && day <= to).forEach(day => {
+    inRange[day] = days[day];
+  });
+  return inRange;
+}
+
+/**
+ * Build the report for the chosen range: heatmap, habit totals, score trend,
+ * journal notes and the "Why I Started" text
+ */
+function renderReport() {
+  const reportElement = document.getElementById("report-body");
+  if (!reportElement) return;
+  
+  const challenge = getChallenge();
+  const { from, to } = getReportRange();
+  const days = getDaysInRange(challenge.days, from, to);
+  const stats = computeStats(days, challenge.habits, challenge.startDate);
+  const includeJournal = document.getElementById("report-journal").checked;
+  const dayCount = to - from + 1;
+  
+  const habitRows = stats.habits.map(({ habit, series, completionRate }) => {
+    const logged = series.filter(point => point.value !== null && point.value !== undefined);
+    const total = logged.reduce((sum, point) => sum + point.value, 0);
+    const completed = Math.round(completionRate * stats.trackedDays);
+    const unit = habit.unit ? " " + escapeHtml(habit.unit) : "";
+    const totalText = habit.type === 'boolean'
+      ? `${total} × yes`
+      : `${Math.round(total * 10) / 10}${unit}`;
+    const averageText = logged.length > 0 && habit.type !== 'boolean'
+      ? `${Math.round(total / logged.length * 10) / 10}${unit}`
+      : "–";
+    return `
+      <tr>
+        <td>${escapeHtml(habit.icon)} ${escapeHtml(habit.label)}</td>
+        <td>${escapeHtml(describeHabitRule(habit, days[to]))}</td>
+        <td>${completed} / ${stats.trackedDays}</td>
+        <td>${Math.round(completionRate * 100)}%</td>
+        <td>${logged.length > 0 ? totalText : "–"}</td>
+        <td>${averageText}</td>
+      </tr>
+    `;
+  }).join("");
+  
+  reportElement.innerHTML = `
+    <header class="report-header">
+      <h2>${escapeHtml(challenge.name)}</h2>
+      <p>Days ${from}–${to} · ${formatDate(addDays(challenge.startDate, from - 1))} – ${formatDate(addDays(challenge.startDate, to - 1))}</p>
+      <p class="settings-hint">Generated ${formatDate(toDateKey(new Date()))} · 100 Days Better Me</p>
+    </header>
     
-    // Load current day UI
-    loadCurrentDayUI();
+    <div class="report-summary">
+      <div><p>Days completed</p><h3>${stats.completedDays} / ${dayCount}</h3></div>
+      <div><p>Average score</p><h3>${stats.averageScore}%</h3></div>
+      <div><p>Longest streak</p><h3>${stats.longestStreak} 🔥</h3></div>
+      <div><p>Current streak</p><h3>${challenge.streak} 🔥</h3></div>
+    </div>
     
-    // Render calendar
-    renderCalendar();
+    <section class="report-section">
+      <h3>Calendar</h3>
+      <div class="report-heatmap">${buildReportHeatmap(challenge, from, to)}</div>
+      <p class="settings-hint">Darker green = higher score · ✓ day completed · ❄ streak freeze</p>
+    </section>
     
-    // Load motivation
-    loadMotivation();
+    <section class="report-section">
+      <h3>Habits</h3>
+      ${stats.trackedDays > 0 ? `
+        <table class="preview-table report-table">
+          <tr><th>Habit</th><th>Target</th><th>Days done</th><th>Rate</th><th>Total</th><th>Average</th></tr>
+          ${habitRows}
+        </table>
+      ` : `<p class="settings-hint">Nothing was logged in these days.</p>`}
+    </section>
     
-    // Setup navigation
-    setupNavigation();
+    <section class="report-section">
+      <h3>Score Trend</h3>
+      ${buildScoreTrendSvg(days, from, to)}
+    </section>
     
-    // Setup mobile input scrolling
-    setupMobileInputScrolling();
+    ${includeJournal ? buildReportJournal(days, challenge) : ""}
     
-    // Save initial state
-    saveData();
-  } catch (error) {
-    console.error("Error initializing app:", error);
-    alert("Error loading app. Please refresh the page.");
+    ${appData.whyStarted ? `
+      <section class="report-section">
+        <h3>Why I Started</h3>
+        <p class="report-text">${escapeHtml(appData.whyStarted)}</p>
+      </section>
+    ` : ""}
+  `;
+}
+
+/**
+ * One cell per day in the range, shaded by score
+ */
+function buildReportHeatmap(challenge, from, to) {
+  const cells = [];
+  for (let day = from; day <= to; day++) {
+    const dayData = challenge.days[day];
+    const score = dayData ? dayData.score || 0 : 0;
+    const state = getCalendarDayState(challenge, day);
+    const mark = state === "done" ? "✓" : state === "frozen" ? "❄" : "";
+    const shade = dayData ? `style="background: rgba(16, 185, 129, ${(0.1 + score / 100 * 0.9).toFixed(2)})"` : "";
+    const title = `${formatDate(addDays(challenge.startDate, day - 1))}${dayData ? ` · ${score}%` : ""}`;
+    cells.push(`
+      <div class="report-cell${dayData ? "" : " empty"}" ${shade} title="${escapeHtml(title)}">
+        <span>${day}</span>
+        <small>${dayData ? `${score}%` : ""} ${mark}</small>
+      </div>
+    `);
   }
+  return cells.join("");
 }
 
 /**
- * Setup mobile input scrolling - ensures inputs scroll into view when focused
+ * Daily score as an SVG line chart (SVG stays sharp when printed or saved as PDF)
+ * Days with nothing saved leave a gap
  */
-function setupMobileInputScrolling() {
-  const inputs = document.querySelectorAll('input, textarea');
+function buildScoreTrendSvg(days, from, to) {
+  const width = 600;
+  const height = 180;
+  const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const x = day => padding.left + (to > from ? (day - from) / (to - from) : 0.5) * plotWidth;
+  const y = score => padding.top + plotHeight - score / 100 * plotHeight;
   
-  inputs.forEach(input => {
-    input.addEventListener('focus', function() {
-      // Small delay to ensure keyboard is shown
-      setTimeout(() => {
-        this.scrollIntoView({ 
-          behavior: 'smooth', 
-          block: 'center',
-          inline: 'nearest'
-        });
-      }, 300);
+  // One polyline per run of consecutive saved days
+  const segments = [];
+  let segment = [];
+  for (let day = from; day <= to; day++) {
+    if (days[day] && (days[day].completed || days[day].missed || countLoggedValues(days[day]) > 0)) {
+      segment.push(`${x(day).toFixed(1)},${y(days[day].score || 0).toFixed(1)}`);
+    } else if (segment.length > 0) {
+      segments.push(segment);
+      segment = [];
+    }
+  }
+  if (segment.length > 0) {
+    segments.push(segment);
+  }
+  
+  const lines = segments.map(points => points.length === 1
+    ? `<circle cx="${points[0].split(",")[0]}" cy="${points[0].split(",")[1]}" r="3" class="report-trend-line"></circle>`
+    : `<polyline points="${points.join(" ")}" class="report-trend-line"></polyline>`).join("");
+  
+  return `
+    <svg class="report-trend" viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily score from day ${from} to day ${to}">
+      <line x1="${padding.left}" y1="${y(100)}" x2="${width - padding.right}" y2="${y(100)}" class="report-trend-grid"></line>
+      <line x1="${padding.left}" y1="${y(50)}" x2="${width - padding.right}" y2="${y(50)}" class="report-trend-grid"></line>
+      <line x1="${padding.left}" y1="${y(0)}" x2="${width - padding.right}" y2="${y(0)}" class="report-trend-axis"></line>
+      <text x="${padding.left - 6}" y="${y(100) + 4}" text-anchor="end">100%</text>
+      <text x="${padding.left - 6}" y="${y(50) + 4}" text-anchor="end">50%</text>
+      <text x="${padding.left - 6}" y="${y(0) + 4}" text-anchor="end">0%</text>
+      <text x="${x(from)}" y="${height - 6}" text-anchor="${to > from ? "start" : "middle"}">Day ${from}</text>
+      ${to > from ? `<text x="${x(to)}" y="${height - 6}" text-anchor="end">Day ${to}</text>` : ""}
+      ${lines}
+    </svg>
+  `;
+}
+
+/**
+ * Journal notes, mood and energy of the days in the range that have any
+ */
+function buildReportJournal(days, challenge) {
+  const entries = Object.keys(days).map(Number).sort((a, b) => a - b)
+    .filter(day => days[day].journal || days[day].mood || days[day].energy)
+    .map(day => {
+      const dayData = days[day];
+      const ratings = [
+        dayData.mood ? `Mood ${MOOD_LABELS[dayData.mood - 1]}` : "",
+        dayData.energy ? `Energy ${ENERGY_LABELS[dayData.energy - 1]}` : ""
+      ].filter(Boolean).join(" · ");
+      return `
+        <div class="report-journal-entry">
+          <p><strong>Day ${day}</strong> · ${formatDate(dayData.date || addDays(challenge.startDate, day - 1))}${ratings ? ` · ${ratings}` : ""}</p>
+          ${dayData.journal ? `<p class="report-text">${escapeHtml(dayData.journal)}</p>` : ""}
+        </div>
+      `;
     });
-  });
+  
+  return `
+    <section class="report-section">
+      <h3>Journal</h3>
+      ${entries.length > 0 ? entries.join("") : `<p class="settings-hint">No journal notes in these days.</p>`}
+    </section>
+  `;
+}
+
+/**
+ * Open the browser's print dialog (where the report can also be saved as PDF)
+ */
+function printReport() {
+  renderReport();
+  window.print();
 }
 
 // ============================================
-// RESTART CHALLENGE
+// ARCHIVE - PAST CHALLENGES
 // ============================================
 
 /**
- * Restart the challenge - clears all data and resets to day 1
- * Only asks for confirmation if challenge is completed (Day 100)
+ * Copy a challenge's current run into the archive (skipped if nothing was ever logged)
  */
-function restartChallenge() {
-  // Check if challenge is completed (Day 100 is completed)
-  const isCompleted = appData.currentDay >= 100 && 
-                      appData.days[100] && 
-                      appData.days[100].completed === true;
+function archiveChallengeRun(challenge) {
+  if (getTrackedDays(challenge.days).length === 0) return;
   
-  let confirmed = true;
-  let keepMotivation = true; // Default to keeping motivation
-  
-  // Only ask for confirmation if challenge is completed
-  if (isCompleted) {
-    confirmed = confirm(
-      "⚠️ Are you sure you want to restart the challenge?\n\n" +
-      "This will:\n" +
-      "• Reset to Day 1\n" +
-      "• Clear all progress data\n" +
-      "• Reset your streak to 0\n" +
-      "• Clear all habit records\n\n" +
-      "Your motivation text will be kept.\n\n" +
-      "This action cannot be undone!"
-    );
-    
-    if (confirmed) {
-      // Keep motivation text if user wants
-      keepMotivation = confirm(
-        "Do you want to keep your 'Why I Started' motivation text?\n\n" +
-        "Click OK to keep it, or Cancel to clear everything."
-      );
-    }
-  }
-  
-  if (confirmed) {
-    // Reset app data
-    appData = {
-      currentDay: 1,
-      streak: 0,
-      days: {},
-      whyStarted: keepMotivation ? appData.whyStarted : ""
+  const lastDay = Math.min(challenge.currentDay, challenge.length);
+  const today = toDateKey(new Date());
+  const lastDate = getDateForDay(lastDay, challenge);
+  appData.archive.push({
+    id: `run-${Date.now()}`,
+    name: challenge.name,
+    length: challenge.length,
+    startDate: challenge.startDate,
+    endDate: today < lastDate ? today : lastDate,
+    currentDay: lastDay,
+    finalStreak: challenge.streak,
+    completedDays: Object.values(challenge.days).filter(dayData => dayData.completed).length,
+    whyStarted: appData.whyStarted,
+    habits: JSON.parse(JSON.stringify(challenge.habits)),
+    scoring: { ...challenge.scoring },
+    rules: cloneStreakRules(challenge.rules),
+    days: JSON.parse(JSON.stringify(challenge.days))
+  });
+}
+
+/**
+ * Find a run by id - either a challenge in progress or an archived run
+ */
+function getRun(runId) {
+  const challenge = appData.challenges.find(entry => entry.id === runId);
+  if (challenge) {
+    return {
+      id: challenge.id,
+      inProgress: true,
+      name: challenge.name,
+      length: challenge.length,
+      startDate: challenge.startDate,
+      endDate: toDateKey(new Date()),
+      currentDay: challenge.currentDay,
+      finalStreak: challenge.streak,
+      completedDays: Object.values(challenge.days).filter(dayData => dayData.completed).length,
+      whyStarted: appData.whyStarted,
+      habits: challenge.habits,
+      rules: challenge.rules,
+      days: challenge.days
     };
-    
-    // Clear localStorage
-    localStorage.setItem("betterMe", JSON.stringify(appData));
-    
-    // Show success message
-    showFeedback("🔄 Challenge restarted! Starting fresh...");
-    
-    // Reload UI
-    setTimeout(() => {
-      // Clear all input fields
-      const habits = ['sleep', 'water', 'workout', 'study', 'food'];
-      habits.forEach(habit => {
-        const input = document.getElementById(habit);
-        if (input) {
-          input.value = "";
-        }
-        // Reset UI
-        updateHabitUI(habit, null, false);
-      });
-      
-      // Reload current day UI
-      loadCurrentDayUI();
-      
-      // Update dashboard
-      updateStreak();
-      
-      // Render calendar
-      renderCalendar();
-      
-      // Reload motivation if kept
-      if (keepMotivation) {
-        loadMotivation();
-      } else {
-        const whyElement = document.getElementById("why");
-        if (whyElement) {
-          whyElement.value = "";
-        }
-      }
-      
-      // Show completion message only if challenge was completed
-      if (isCompleted) {
-        alert("✅ Challenge restarted successfully!\n\nYou're now on Day 1. Good luck on your new journey! 💪");
-      }
-    }, 500);
   }
+  return appData.archive.find(run => run.id === runId) || null;
+}
+
+/**
+ * Short name for a run, e.g. "75 Hard · Mar 4, 2024 - May 17, 2024"
+ */
+function describeRun(run) {
+  const format = dateKey => parseDateKey(dateKey).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  const name = run.name || `${DEFAULT_CHALLENGE_DAYS} Days Better Me`;
+  if (run.inProgress) {
+    return `${name} · in progress since ${format(run.startDate)}`;
+  }
+  return `${name} · ${format(run.startDate)} - ${format(run.endDate)}`;
+}
+
+/**
+ * List archived runs (newest first) and fill the comparison pickers
+ */
+function renderArchive() {
+  const listElement = document.getElementById("archive-list");
+  if (!listElement) return;
+  
+  const runs = appData.archive.slice().reverse();
+  
+  if (runs.length === 0) {
+    listElement.innerHTML = `<p class="settings-hint">No past challenges yet. When you restart, the current run is kept here.</p>`;
+  } else {
+    listElement.innerHTML = runs.map(run => {
+      const stats = computeStats(run.days, run.habits, run.startDate);
+      const motivation = run.whyStarted ? `<p class="archive-quote">"${escapeHtml(run.whyStarted)}"</p>` : "";
+      return `
+        <div class="archive-card">
+          <h3>${escapeHtml(describeRun(run))}</h3>
+          <p class="settings-hint">${Number(run.completedDays) || 0} / ${Number(run.length) || 0} days completed · final streak ${Number(run.finalStreak) || 0} 🔥 · longest ${stats.longestStreak} · avg ${stats.averageScore}%</p>
+          ${motivation}
+          <div class="settings-actions">
+            <button class="secondary" data-run-id="${run.id}">📅 View Calendar</button>
+          </div>
+        </div>
+      `;
+    }).join("");
+    listElement.querySelectorAll("[data-run-id]").forEach(button => {
+      button.addEventListener("click", () => showArchivedRun(button.dataset.runId));
+    });
+  }
+  
+  // Comparison pickers: every archived run plus the challenges in progress
+  const liveRuns = appData.challenges.map(challenge => getRun(challenge.id));
+  const options = liveRuns.concat(runs).map(run => {
+    return `<option value="${run.id}">${escapeHtml(describeRun(run))}</option>`;
+  }).join("");
+  ["compare-a", "compare-b"].forEach((id, index) => {
+    const selectElement = document.getElementById(id);
+    if (selectElement) {
+      selectElement.innerHTML = options;
+      selectElement.selectedIndex = Math.min(index, selectElement.options.length - 1);
+    }
+  });
+  
+  const compareSection = document.getElementById("archive-compare");
+  if (compareSection) {
+    compareSection.style.display = runs.length > 0 ? "block" : "none";
+  }
+  renderComparison();
+  closeArchivedRun();
+}
+
+/**
+ * Show the read-only calendar of an archived run
+ */
+function showArchivedRun(runId) {
+  const run = getRun(runId);
+  const viewElement = document.getElementById("archive-view");
+  const calendarElement = document.getElementById("archive-calendar");
+  const titleElement = document.getElementById("archive-view-title");
+  if (!run || !viewElement || !calendarElement || !titleElement) return;
+  
+  titleElement.innerText = describeRun(run);
+  fillCalendarGrid(calendarElement, run, null, day => showArchivedDayDetails(runId, day));
+  
+  const detailsElement = document.getElementById("archive-day-details");
+  if (detailsElement) {
+    detailsElement.innerHTML = "";
+  }
+  
+  viewElement.style.display = "block";
+  viewElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Show one day of an archived run (read-only)
+ */
+function showArchivedDayDetails(runId, day) {
+  const run = getRun(runId);
+  const detailsElement = document.getElementById("archive-day-details");
+  if (!run || !detailsElement) return;
+  
+  detailsElement.innerHTML = `<h3>Day ${day}</h3>` + buildDayDetailsHtml(run.days[day], run.habits, addDays(run.startDate, day - 1));
+}
+
+/**
+ * Hide the archived run calendar
+ */
+function closeArchivedRun() {
+  const viewElement = document.getElementById("archive-view");
+  if (viewElement) {
+    viewElement.style.display = "none";
+  }
+}
+
+/**
+ * Side-by-side numbers for the two runs picked in the comparison view
+ */
+function renderComparison() {
+  const tableElement = document.getElementById("compare-table");
+  const selectA = document.getElementById("compare-a");
+  const selectB = document.getElementById("compare-b");
+  if (!tableElement || !selectA || !selectB) return;
+  
+  const runA = getRun(selectA.value);
+  const runB = getRun(selectB.value);
+  if (!runA || !runB) {
+    tableElement.innerHTML = "";
+    return;
+  }
+  
+  const statsA = computeStats(runA.days, runA.habits, runA.startDate);
+  const statsB = computeStats(runB.days, runB.habits, runB.startDate);
+  const percent = fraction => fraction === undefined ? "—" : Math.round(fraction * 100) + "%";
+  // Archived runs come from backups and sync too, so their counts are shown as numbers only
+  const count = value => Number(value) || 0;
+  
+  const rows = [
+    ["Days completed", `${count(runA.completedDays)} / ${count(runA.length)}`, `${count(runB.completedDays)} / ${count(runB.length)}`],
+    ["Days tracked", statsA.trackedDays, statsB.trackedDays],
+    ["Final streak", count(runA.finalStreak) + " 🔥", count(runB.finalStreak) + " 🔥"],
+    ["Longest streak", statsA.longestStreak + " 🔥", statsB.longestStreak + " 🔥"],
+    ["Average score", statsA.averageScore + "%", statsB.averageScore + "%"]
+  ];
+  
+  // One row per habit found in either run, matched by habit id
+  const habitIds = [];
+  runA.habits.concat(runB.habits).forEach(habit => {
+    if (!habitIds.some(entry => entry.id === habit.id)) {
+      habitIds.push(habit);
+    }
+  });
+  habitIds.forEach(habit => {
+    const rateA = statsA.habits.find(entry => entry.habit.id === habit.id);
+    const rateB = statsB.habits.find(entry => entry.habit.id === habit.id);
+    rows.push([
+      `${escapeHtml(habit.icon)} ${escapeHtml(habit.label)} completion`,
+      percent(rateA && rateA.completionRate),
+      percent(rateB && rateB.completionRate)
+    ]);
+  });
+  
+  tableElement.innerHTML = `
+    <tr><th></th><th>A</th><th>B</th></tr>
+    ${rows.map(([label, a, b]) => `<tr><td>${label}</td><td>${a}</td><td>${b}</td></tr>`).join("")}
+  `;
+}
+
+// ============================================
+// ACHIEVEMENTS - BADGES
+// ============================================
+
+// Badge rules, checked after every save
+// measure(runs): progress toward target, counted over running challenges and past runs
+const ACHIEVEMENTS = [
+  { id: 'first-day', icon: '🌱', title: "First Step", description: "Complete your first day", target: 1, measure: runs => countDays(runs, dayData => dayData.completed) },
+  { id: 'streak-7', icon: '🔥', title: "On Fire", description: "Reach a 7 day streak", target: 7, measure: runs => longestAcrossRuns(runs, run => getLongestStreak(run.days)) },
+  { id: 'perfect-week', icon: '⭐', title: "Perfect Week", description: "Complete every day from Monday to Sunday", target: 1, measure: runs => countPerfectWeeks(runs) },
+  { id: 'streak-30', icon: '💎', title: "Unbreakable", description: "Reach a 30 day streak", target: 30, measure: runs => longestAcrossRuns(runs, run => getLongestStreak(run.days)) },
+  { id: 'streak-100', icon: '🏆', title: "Centurion", description: "Reach a 100 day streak", target: 100, measure: runs => longestAcrossRuns(runs, run => getLongestStreak(run.days)) },
+  { id: 'workouts-50', icon: '💪', title: "Gym Regular", description: "Complete a workout habit on 50 days", target: 50, measure: runs => countHabitKindDays(runs, 'workout') },
+  { id: 'food-month', icon: '🥗', title: "Clean Month", description: "Complete a nutrition habit 30 days in a row", target: 30, measure: runs => longestAcrossRuns(runs, run => getLongestHabitRun(run.days, getHabitIdsOfKind(run, 'nutrition'))) }
+];
+
+/**
+ * Day records of every running challenge and past run
+ */
+function getAllRuns() {
+  return appData.challenges.concat(appData.archive || []);
+}
+
+/**
+ * Number of days in all runs that match a condition
+ */
+function countDays(runs, condition) {
+  return runs.reduce((sum, run) => sum + Object.values(run.days).filter(condition).length, 0);
+}
+
+/**
+ * Highest value of a per-run measurement
+ */
+function longestAcrossRuns(runs, measure) {
+  return runs.reduce((longest, run) => Math.max(longest, measure(run)), 0);
+}
+
+/**
+ * The badge kind of a habit
+ * Habits saved before kinds existed take the kind of the default habit with their id
+ */
+function getHabitKind(habit) {
+  if (habit.kind !== undefined) {
+    return habit.kind;
+  }
+  const defaultHabit = DEFAULT_HABITS.find(candidate => candidate.id === habit.id);
+  return defaultHabit && defaultHabit.kind ? defaultHabit.kind : null;
+}
+
+/**
+ * Ids of a run's habits of one kind
+ */
+function getHabitIdsOfKind(run, kind) {
+  return (run.habits || DEFAULT_HABITS).filter(habit => getHabitKind(habit) === kind).map(habit => habit.id);
+}
+
+/**
+ * Number of days in all runs on which a habit of a kind was completed
+ */
+function countHabitKindDays(runs, kind) {
+  return runs.reduce((sum, run) => {
+    const habitIds = getHabitIdsOfKind(run, kind);
+    return sum + countDays([run], dayData => habitIds.some(id => dayData.completedHabits[id] === true));
+  }, 0);
+}
+
+/**
+ * Longest run of consecutive days on which one of the habits was completed
+ */
+function getLongestHabitRun(days, habitIds) {
+  let longest = 0;
+  let current = 0;
+  let previousDay = 0;
+  
+  Object.keys(days)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach(day => {
+      const completed = habitIds.some(id => days[day].completedHabits[id] === true);
+      current = completed && day === previousDay + 1 ? current + 1 : (completed ? 1 : 0);
+      previousDay = day;
+      longest = Math.max(longest, current);
+    });
+  
+  return longest;
+}
+
+/**
+ * Number of Monday-Sunday weeks in which every day was completed
+ */
+function countPerfectWeeks(runs) {
+  let weeks = 0;
+  
+  runs.forEach(run => {
+    Object.keys(run.days).map(Number).forEach(day => {
+      const dayData = run.days[day];
+      const isMonday = parseDateKey(dayData.date || addDays(run.startDate, day - 1)).getDay() === 1;
+      if (!isMonday) return;
+      
+      let perfect = true;
+      for (let offset = 0; offset < 7; offset++) {
+        const weekDay = run.days[day + offset];
+        if (!weekDay || !weekDay.completed) {
+          perfect = false;
+          break;
+        }
+      }
+      if (perfect) weeks++;
+    });
+  });
+  
+  return weeks;
+}
+
+/**
+ * Unlock every achievement whose target has been reached
+ * Returns the newly unlocked achievements
+ */
+function unlockAchievements() {
+  if (!appData.achievements || !Array.isArray(appData.challenges)) return [];
+  
+  const runs = getAllRuns();
+  const unlocked = [];
+  
+  ACHIEVEMENTS.forEach(achievement => {
+    if (appData.achievements[achievement.id]) return;
+    if (achievement.measure(runs) >= achievement.target) {
+      appData.achievements[achievement.id] = new Date().toISOString();
+      unlocked.push(achievement);
+    }
+  });
+  
+  return unlocked;
+}
+
+/**
+ * Draw the badges gallery: unlocked badges with their date, locked ones with progress
+ */
+function renderBadges() {
+  const galleryElement = document.getElementById("badge-gallery");
+  if (!galleryElement) return;
+  
+  const runs = getAllRuns();
+  const unlockedCount = ACHIEVEMENTS.filter(achievement => appData.achievements[achievement.id]).length;
+  
+  const summaryElement = document.getElementById("badge-summary");
+  if (summaryElement) {
+    summaryElement.innerText = `${unlockedCount} of ${ACHIEVEMENTS.length} unlocked`;
+  }
+  
+  galleryElement.innerHTML = ACHIEVEMENTS.map(achievement => {
+    const unlockedAt = appData.achievements[achievement.id];
+    const status = unlockedAt
+      ? `Unlocked ${formatDate(toDateKey(new Date(unlockedAt)))}`
+      : `${Math.min(achievement.measure(runs), achievement.target)} / ${achievement.target}`;
+    return `
+      <div class="badge-card ${unlockedAt ? "unlocked" : "locked"}">
+        <div class="badge-icon">${achievement.icon}</div>
+        <h3>${achievement.title}</h3>
+        <p>${achievement.description}</p>
+        <p class="badge-status">${status}</p>
+      </div>
+    `;
+  }).join("");
+}
+
+/**
+ * Celebrate newly unlocked badges (one toast, even when several unlock at once)
+ */
+function showAchievementToast(unlocked) {
+  const toast = document.createElement("div");
+  toast.className = "achievement-toast";
+  
+  const first = unlocked[0];
+  toast.innerHTML = unlocked.length === 1
+    ? `<span class="badge-icon">${first.icon}</span><div><strong>Badge unlocked!</strong><br>${first.title}</div>`
+    : `<span class="badge-icon">🏅</span><div><strong>${unlocked.length} badges unlocked!</strong><br>${unlocked.map(achievement => achievement.title).join(", ")}</div>`;
+  toast.onclick = () => toast.remove();
+  
+  // Share the milestone as an image
+  const shareButton = document.createElement("button");
+  shareButton.className = "achievement-share";
+  shareButton.textContent = "📤 Share";
+  shareButton.onclick = () => openShareCard(`Badge unlocked: ${first.icon} ${first.title}`);
+  toast.appendChild(shareButton);
+  
+  document.body.appendChild(toast);
+  
+  setTimeout(() => {
+    toast.classList.add("leaving");
+    setTimeout(() => toast.remove(), 400);
+  }, 4000);
+}
+
+// ============================================
+// SHARE CARD - PROGRESS IMAGE
+// ============================================
+
+// Size of the shared image (portrait, as most social apps show it)
+const SHARE_CARD_WIDTH = 1080;
+const SHARE_CARD_HEIGHT = 1350;
+
+// Calendar colours on the image, matching the Progress page
+const SHARE_CARD_COLORS = {
+  done: "#10b981",
+  frozen: "#3b82f6",
+  incomplete: "#ef4444",
+  upcoming: "rgba(255, 255, 255, 0.08)",
+  current: "#8b5cf6"
+};
+
+// Line under the challenge name, e.g. "Day 12 completed! 🎉" (set when the card is opened)
+let shareCardHeadline = "";
+
+// PNG of the preview as last drawn (null while it is being made)
+// Made up front because Safari only opens the share sheet straight from the tap
+let shareCardBlob = null;
+let shareCardBlobRequest = null;
+
+/**
+ * Open the share dialog with a fresh image of the active challenge
+ * headline: what is being celebrated (defaults to the day of the challenge)
+ */
+function openShareCard(headline) {
+  const challenge = getChallenge();
+  shareCardHeadline = headline || `Day ${challenge.currentDay} of ${challenge.length}`;
+  
+  const quoteElement = document.getElementById("share-quote");
+  quoteElement.value = appData.whyStarted || "";
+  document.getElementById("share-include-quote").checked = Boolean(appData.whyStarted);
+  document.getElementById("share-card-share").style.display = canShareFiles() ? "" : "none";
+  
+  if (!renderShareCard()) {
+    showAlert("This browser can't create images.");
+    return;
+  }
+  document.getElementById("share-card").hidden = false;
+}
+
+/**
+ * Close the share dialog
+ */
+function closeShareCard() {
+  document.getElementById("share-card").hidden = true;
+}
+
+/**
+ * Redraw the preview after the quote changes
+ * Returns false when the image can't be drawn
+ */
+function renderShareCard() {
+  const includeQuote = document.getElementById("share-include-quote").checked;
+  const quoteElement = document.getElementById("share-quote");
+  quoteElement.style.display = includeQuote ? "" : "none";
+  
+  const drawn = drawShareCard(document.getElementById("share-canvas"), getChallenge(), {
+    headline: shareCardHeadline,
+    quote: includeQuote ? quoteElement.value.trim() : ""
+  });
+  
+  // Only the latest drawing is kept when the quote changes while a blob is being made
+  shareCardBlob = null;
+  if (drawn) {
+    const request = getShareCardBlob();
+    shareCardBlobRequest = request;
+    request.then(blob => {
+      if (shareCardBlobRequest === request) {
+        shareCardBlob = blob;
+      }
+    }).catch(error => console.error("Share image failed:", error));
+  }
+  return drawn;
+}
+
+/**
+ * Draw the progress card: challenge name, streak, today's score, the calendar grid
+ * and an optional quote
+ * Returns false when the browser can't draw on a canvas
+ */
+function drawShareCard(canvas, challenge, options = {}) {
+  const context = canvas.getContext && canvas.getContext("2d");
+  if (!context) return false;
+  
+  const width = SHARE_CARD_WIDTH;
+  const height = SHARE_CARD_HEIGHT;
+  canvas.width = width;
+  canvas.height = height;
+  
+  // Background
+  const background = context.createLinearGradient(0, 0, width, height);
+  background.addColorStop(0, "#0a0e1a");
+  background.addColorStop(1, "#1e1b4b");
+  context.fillStyle = background;
+  context.fillRect(0, 0, width, height);
+  
+  const margin = 90;
+  context.textAlign = "left";
+  context.textBaseline = "alphabetic";
+  
+  // Branding, challenge and what is being celebrated
+  context.fillStyle = "#a5b4fc";
+  context.font = "600 32px Inter, sans-serif";
+  context.fillText("✨ 100 Days Better Me", margin, 110);
+  context.fillStyle = "#ffffff";
+  context.font = "700 64px Inter, sans-serif";
+  context.fillText(wrapCanvasText(context, challenge.name, width - margin * 2, 1)[0], margin, 200);
+  context.fillStyle = "#cbd5e1";
+  context.font = "500 38px Inter, sans-serif";
+  context.fillText(wrapCanvasText(context, options.headline || "", width - margin * 2, 1)[0] || "", margin, 260);
+  
+  // Streak, today's score and completed days
+  const today = challenge.days[challenge.currentDay];
+  const completedDays = Object.values(challenge.days).filter(dayData => dayData.completed).length;
+  const stats = [
+    { label: "Streak", value: `${challenge.streak} 🔥` },
+    { label: "Today", value: `${today ? today.score || 0 : 0}%` },
+    { label: "Completed", value: `${completedDays}/${challenge.length}` }
+  ];
+  const statGap = 24;
+  const statWidth = (width - margin * 2 - statGap * (stats.length - 1)) / stats.length;
+  stats.forEach((stat, index) => {
+    const x = margin + index * (statWidth + statGap);
+    context.fillStyle = "rgba(255, 255, 255, 0.06)";
+    fillRoundedRect(context, x, 310, statWidth, 150, 24);
+    context.textAlign = "center";
+    context.fillStyle = "#ffffff";
+    context.font = "700 56px Inter, sans-serif";
+    context.fillText(stat.value, x + statWidth / 2, 390);
+    context.fillStyle = "#94a3b8";
+    context.font = "500 28px Inter, sans-serif";
+    context.fillText(stat.label, x + statWidth / 2, 435);
+  });
+  
+  // Quote, wrapped to at most three lines above the footer
+  context.font = "italic 36px Inter, sans-serif";
+  const quoteLines = options.quote ? wrapCanvasText(context, `“${options.quote}”`, width - margin * 2, 3) : [];
+  const quoteHeight = quoteLines.length > 0 ? quoteLines.length * 50 + 40 : 0;
+  
+  // Calendar grid, as large as fits between the stats and the quote
+  const gridTop = 510;
+  const gridBottom = height - 120 - quoteHeight;
+  const gap = 8;
+  const columns = challenge.length <= 100 ? Math.min(10, challenge.length) : Math.ceil(Math.sqrt(challenge.length));
+  const rows = Math.ceil(challenge.length / columns);
+  const cellSize = Math.min(
+    (width - margin * 2 - gap * (columns - 1)) / columns,
+    (gridBottom - gridTop - gap * (rows - 1)) / rows
+  );
+  const gridLeft = (width - (cellSize * columns + gap * (columns - 1))) / 2;
+  
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.font = `600 ${Math.round(cellSize * 0.34)}px Inter, sans-serif`;
+  for (let day = 1; day <= challenge.length; day++) {
+    const x = gridLeft + ((day - 1) % columns) * (cellSize + gap);
+    const y = gridTop + Math.floor((day - 1) / columns) * (cellSize + gap);
+    const state = getCalendarDayState(challenge, day);
+    
+    context.fillStyle = SHARE_CARD_COLORS[state || "upcoming"];
+    fillRoundedRect(context, x, y, cellSize, cellSize, Math.min(12, cellSize / 4));
+    if (day === challenge.currentDay) {
+      context.strokeStyle = SHARE_CARD_COLORS.current;
+      context.lineWidth = 4;
+      context.strokeRect(x + 2, y + 2, cellSize - 4, cellSize - 4);
+    }
+    if (cellSize >= 40) {
+      context.fillStyle = state ? "#ffffff" : "#64748b";
+      context.fillText(String(day), x + cellSize / 2, y + cellSize / 2);
+    }
+  }
+  context.textBaseline = "alphabetic";
+  
+  // Quote and footer
+  context.fillStyle = "#e2e8f0";
+  context.font = "italic 36px Inter, sans-serif";
+  quoteLines.forEach((line, index) => {
+    context.fillText(line, width / 2, gridBottom + 60 + index * 50);
+  });
+  
+  context.fillStyle = "#64748b";
+  context.font = "500 28px Inter, sans-serif";
+  context.fillText(formatDate(toDateKey(new Date())), width / 2, height - 60);
+  
+  return true;
+}
+
+/**
+ * Fill a rectangle with rounded corners (roundRect isn't in every browser yet)
+ */
+function fillRoundedRect(context, x, y, width, height, radius) {
+  context.beginPath();
+  context.moveTo(x + radius, y);
+  context.arcTo(x + width, y, x + width, y + height, radius);
+  context.arcTo(x + width, y + height, x, y + height, radius);
+  context.arcTo(x, y + height, x, y, radius);
+  context.arcTo(x, y, x + width, y, radius);
+  context.closePath();
+  context.fill();
+}
+
+/**
+ * Break text into lines that fit maxWidth with the context's current font
+ * Text that doesn't fit in maxLines is cut off with an ellipsis
+ */
+function wrapCanvasText(context, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = "";
+  
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (context.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  
+  // Too many lines, or a single word wider than the card
+  const overflows = lines.length > maxLines;
+  lines.length = Math.min(lines.length, maxLines);
+  const lastIndex = lines.length - 1;
+  if (lastIndex >= 0 && (overflows || context.measureText(lines[lastIndex]).width > maxWidth)) {
+    let last = lines[lastIndex];
+    while (last && context.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    lines[lastIndex] = `${last}…`;
+  }
+  return lines;
+}
+
+/**
+ * The card as a PNG blob
+ */
+function getShareCardBlob() {
+  return new Promise((resolve, reject) => {
+    document.getElementById("share-canvas").toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("The image couldn't be created."));
+      }
+    }, "image/png");
+  });
+}
+
+/**
+ * File name of the card, e.g. better-me-day-12.png
+ */
+function getShareCardFileName() {
+  return `better-me-day-${getChallenge().currentDay}.png`;
+}
+
+/**
+ * Whether the browser can share image files (Web Share API level 2)
+ */
+function canShareFiles() {
+  if (!navigator.share || !navigator.canShare || typeof File === 'undefined') {
+    return false;
+  }
+  return navigator.canShare({ files: [new File([""], "card.png", { type: "image/png" })] });
+}
+
+/**
+ * Save the card as a PNG file
+ */
+function downloadShareCard() {
+  getShareCardBlob().then(blob => {
+    downloadFile(getShareCardFileName(), blob, "image/png");
+  }).catch(error => showAlert(error.message));
+}
+
+/**
+ * Send the card through the device's share sheet
+ * Called straight from the tap (no waiting first), so the browser allows it
+ */
+function shareShareCard() {
+  if (!shareCardBlob) {
+    showFeedback("⏳ The image is still being made, try again in a moment");
+    return;
+  }
+  
+  const file = new File([shareCardBlob], getShareCardFileName(), { type: "image/png" });
+  navigator.share({
+    files: [file],
+    title: getChallenge().name,
+    text: shareCardHeadline
+  }).catch(error => {
+    // Closing the share sheet isn't an error
+    if (error.name !== 'AbortError') {
+      console.error("Sharing failed:", error);
+      showAlert("Sharing didn't work. You can download the image instead.");
+    }
+  });
+}
+
+// ============================================
+// MOTIVATION
+// ============================================
+
+/**
+ * Load motivation text
+ */
+function loadMotivation() {
+  const whyElement = document.getElementById("why");
+  if (whyElement) {
+    whyElement.value = appData.whyStarted || "";
+  }
+}
+
+/**
+ * Save motivation text
+ */
+function saveWhy() {
+  const whyElement = document.getElementById("why");
+  if (whyElement) {
+    appData.whyStarted = whyElement.value;
+    saveData();
+    showFeedback("Motivation saved!");
+  }
+}
+
+// ============================================
+// JOURNAL - MOOD & ENERGY
+// ============================================
+
+/**
+ * Show today's journal text and ratings on the dashboard
+ */
+function loadJournalUI() {
+  const dayData = getCurrentDayData();
+  
+  const journalElement = document.getElementById("journal");
+  if (journalElement) {
+    journalElement.value = dayData.journal || "";
+  }
+  
+  ['mood', 'energy'].forEach(kind => {
+    document.querySelectorAll(`#${kind}-rating button`).forEach(button => {
+      button.classList.toggle("selected", Number(button.dataset.value) === dayData[kind]);
+    });
+  });
+}
+
+/**
+ * Rate today's mood or energy (1-5); tapping the selected rating clears it
+ * The journal isn't a habit, so it can still be filled in after the day is completed
+ */
+function setRating(kind, value) {
+  const dayData = getCurrentDayData();
+  if (dayData.missed) {
+    showAlert("This day has already passed and can no longer be logged here!");
+    return;
+  }
+  
+  if (dayData[kind] === value) {
+    delete dayData[kind];
+  } else {
+    dayData[kind] = value;
+  }
+  
+  saveData();
+  loadJournalUI();
+}
+
+/**
+ * Save today's journal entry
+ */
+function saveJournal() {
+  const journalElement = document.getElementById("journal");
+  if (!journalElement) return;
+  
+  const dayData = getCurrentDayData();
+  if (dayData.missed) {
+    showAlert("This day has already passed and can no longer be logged here!");
+    return;
+  }
+  
+  const text = journalElement.value.trim();
+  if (text) {
+    dayData.journal = text;
+  } else {
+    delete dayData.journal;
+  }
+  
+  saveData();
+  showFeedback("📓 Journal saved!");
+}
+
+/**
+ * List the active challenge's days whose journal contains the search text
+ */
+function searchJournal(query) {
+  const resultsElement = document.getElementById("journal-results");
+  if (!resultsElement) return;
+  
+  const text = query.trim().toLowerCase();
+  if (!text) {
+    resultsElement.innerHTML = "";
+    return;
+  }
+  
+  const challenge = getChallenge();
+  const matches = Object.keys(challenge.days)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .filter(day => (challenge.days[day].journal || "").toLowerCase().includes(text));
+  
+  if (matches.length === 0) {
+    resultsElement.innerHTML = `<p class="settings-hint">No journal entries mention "${escapeHtml(query.trim())}".</p>`;
+    return;
+  }
+  
+  resultsElement.innerHTML = matches.map(day => {
+    const dayData = challenge.days[day];
+    const journal = dayData.journal;
+    const index = journal.toLowerCase().indexOf(text);
+    
+    // A short excerpt around the first match
+    const start = Math.max(0, index - 40);
+    const end = Math.min(journal.length, index + text.length + 60);
+    const excerpt = (start > 0 ? "…" : "") +
+      escapeHtml(journal.slice(start, index)) +
+      `<mark>${escapeHtml(journal.slice(index, index + text.length))}</mark>` +
+      escapeHtml(journal.slice(index + text.length, end)) +
+      (end < journal.length ? "…" : "");
+    const mood = dayData.mood ? ` ${MOOD_LABELS[dayData.mood - 1]}` : "";
+    
+    return `
+      <div class="journal-result" onclick="openDay(${day})">
+        <strong>Day ${day}</strong> · ${formatDate(dayData.date || getDateForDay(day))}${mood}
+        <p>${excerpt}</p>
+      </div>
+    `;
+  }).join("");
+}
+
+/**
+ * How mood and energy relate to habits, for the Stats page
+ * Compares average ratings on days a habit was completed with days it wasn't
+ */
+function computeMoodInsights(days, habits) {
+  const rated = Object.values(days).filter(dayData => dayData.mood || dayData.energy);
+  
+  const average = (list, key) => {
+    const values = list.map(dayData => dayData[key]).filter(Boolean);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  };
+  const compare = condition => {
+    const yes = rated.filter(condition);
+    const no = rated.filter(dayData => !condition(dayData));
+    return {
+      moodWith: average(yes, 'mood'),
+      moodWithout: average(no, 'mood'),
+      energyWith: average(yes, 'energy'),
+      energyWithout: average(no, 'energy')
+    };
+  };
+  
+  return {
+    ratedDays: rated.length,
+    averageMood: average(rated, 'mood'),
+    averageEnergy: average(rated, 'energy'),
+    completedDays: compare(dayData => dayData.completed),
+    habits: habits.map(habit => ({
+      habit,
+      ...compare(dayData => dayData.completedHabits[habit.id] === true)
+    }))
+  };
+}
+
+/**
+ * Insights table: average mood and energy with vs. without each habit
+ */
+function buildInsightsHtml(insights) {
+  if (insights.ratedDays === 0) {
+    return `<p class="settings-hint">Rate your mood and energy on the dashboard to see how they relate to your habits.</p>`;
+  }
+  
+  const format = value => value === null ? "-" : (Math.round(value * 10) / 10).toString();
+  const difference = (withValue, withoutValue) => {
+    if (withValue === null || withoutValue === null) return "";
+    const delta = Math.round((withValue - withoutValue) * 10) / 10;
+    if (delta === 0) return "";
+    return ` <span class="${delta > 0 ? "insight-up" : "insight-down"}">${delta > 0 ? "+" : ""}${delta}</span>`;
+  };
+  const row = (label, entry) => `
+    <tr>
+      <td>${label}</td>
+      <td>${format(entry.moodWith)} / ${format(entry.moodWithout)}${difference(entry.moodWith, entry.moodWithout)}</td>
+      <td>${format(entry.energyWith)} / ${format(entry.energyWithout)}${difference(entry.energyWith, entry.energyWithout)}</td>
+    </tr>
+  `;
+  
+  let html = `<p class="settings-hint">${insights.ratedDays} rated day${insights.ratedDays === 1 ? "" : "s"} · average mood ${format(insights.averageMood)} · average energy ${format(insights.averageEnergy)}. Each cell shows the average when done / not done.</p>`;
+  html += `<table class="preview-table"><tr><th></th><th>Mood</th><th>Energy</th></tr>`;
+  html += row("✅ Day completed", insights.completedDays);
+  insights.habits.forEach(entry => {
+    html += row(`${escapeHtml(entry.habit.icon || "")} ${escapeHtml(entry.habit.label)}`, entry);
+  });
+  html += `</table>`;
+  return html;
+}
+
+// ============================================
+// SETTINGS - HABIT EDITOR
+// ============================================
+
+// Working copy of the habit list while it is being edited
+// Only written to appData when "Save Habits" is pressed
+let habitDraft = [];
+
+/**
+ * Reset the editor to the saved habit list and draw it
+ */
+function renderHabitEditor() {
+  habitDraft = getHabits().map(habit => ({ ...habit }));
+  drawHabitEditor();
+}
+
+/**
+ * Draw one editor row per habit in the draft list
+ */
+function drawHabitEditor() {
+  const editorElement = document.getElementById("habit-editor");
+  if (!editorElement) return;
+  
+  editorElement.innerHTML = "";
+  
+  habitDraft.forEach((habit, index) => {
+    const row = document.createElement("div");
+    row.className = "habit-editor-row";
+    
+    const isNumber = habit.type !== 'boolean';
+    const min = Number.isFinite(habit.min) ? habit.min : "";
+    const max = Number.isFinite(habit.max) ? habit.max : "";
+    
+    row.innerHTML = `
+      <input class="habit-icon-input" value="${escapeHtml(habit.icon || "")}" placeholder="⭐" maxlength="4" oninput="updateHabitDraft(${index}, 'icon', this.value)">
+      <input class="habit-label-input" value="${escapeHtml(habit.label)}" placeholder="Habit name" oninput="updateHabitDraft(${index}, 'label', this.value)">
+      <select onchange="updateHabitDraft(${index}, 'type', this.value)">
+        <option value="number" ${isNumber ? "selected" : ""}>Number</option>
+        <option value="boolean" ${isNumber ? "" : "selected"}>Yes / No</option>
+      </select>
+      <select title="Badges it counts toward" onchange="updateHabitDraft(${index}, 'kind', this.value)">
+        <option value="">No badge</option>
+        ${Object.keys(HABIT_KINDS).map(kind => `<option value="${kind}" ${getHabitKind(habit) === kind ? "selected" : ""}>${HABIT_KINDS[kind]}</option>`).join("")}
+      </select>
+      ${isNumber ? `
+      <input type="number" value="${min}" placeholder="Min" min="0" step="any" oninput="updateHabitDraft(${index}, 'min', this.value)">
+      <input type="number" value="${max}" placeholder="Max" min="0" step="any" oninput="updateHabitDraft(${index}, 'max', this.value)">
+      <input value="${escapeHtml(habit.unit || "")}" placeholder="Unit" oninput="updateHabitDraft(${index}, 'unit', this.value)">
+      <select title="How it is logged" onchange="updateHabitDraft(${index}, 'logMode', this.value)">
+        ${Object.keys(LOG_MODES).map(mode => `<option value="${mode}" ${habit.logMode === mode ? "selected" : ""}>${LOG_MODES[mode]}</option>`).join("")}
+      </select>
+      ` : `
+      <span class="habit-editor-note">Completed when answered Yes</span>
+      `}
+      <div class="habit-editor-actions">
+        <button title="Move up" onclick="moveHabitDraft(${index}, -1)" ${index === 0 ? "disabled" : ""}>↑</button>
+        <button title="Move down" onclick="moveHabitDraft(${index}, 1)" ${index === habitDraft.length - 1 ? "disabled" : ""}>↓</button>
+        <button title="Remove" class="danger" onclick="removeHabitDraft(${index})">✕</button>
+      </div>
+    `;
+    
+    editorElement.appendChild(row);
+  });
+  
+  setupMobileInputScrolling(editorElement);
+}
+
+/**
+ * Update one field of a draft habit as the user types
+ */
+function updateHabitDraft(index, field, value) {
+  const habit = habitDraft[index];
+  if (!habit) return;
+  
+  if (field === 'min' || field === 'max') {
+    const number = parseFloat(value);
+    habit[field] = Number.isFinite(number) ? number : null;
+  } else if (field === 'kind') {
+    habit.kind = value || null;
+  } else {
+    habit[field] = value;
+  }
+  
+  // Switching type changes which fields are shown
+  if (field === 'type') {
+    drawHabitEditor();
+  }
+}
+
+/**
+ * Add an empty habit to the end of the draft list
+ */
+function addHabitDraft() {
+  habitDraft.push({
+    id: null,
+    icon: '⭐',
+    label: '',
+    type: 'number',
+    unit: '',
+    min: null,
+    max: null,
+    step: null,
+    placeholder: '',
+    weight: 0,
+    logMode: 'input',
+    kind: null
+  });
+  drawHabitEditor();
+}
+
+/**
+ * Move a draft habit up (-1) or down (+1)
+ */
+function moveHabitDraft(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= habitDraft.length) return;
+  
+  const [habit] = habitDraft.splice(index, 1);
+  habitDraft.splice(target, 0, habit);
+  drawHabitEditor();
+}
+
+/**
+ * Remove a habit from the draft list
+ * Values already logged for it stay in the day records
+ */
+function removeHabitDraft(index) {
+  habitDraft.splice(index, 1);
+  drawHabitEditor();
+}
+
+/**
+ * Create a stable id for a new habit from its name
+ * e.g. "No Sugar" -> "no_sugar"
+ */
+function generateHabitId(label, takenIds) {
+  let base = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "habit";
+  if (/^[0-9]/.test(base)) {
+    base = "habit_" + base;
+  }
+  
+  let id = base;
+  let suffix = 2;
+  while (takenIds.includes(id) || RESERVED_DAY_KEYS.includes(id)) {
+    id = `${base}_${suffix}`;
+    suffix++;
+  }
+  return id;
+}
+
+/**
+ * Validate the draft list and make it the new habit definition
+ * Re-scores the current day (completed days stay locked)
+ */
+function saveHabitSettings() {
+  if (habitDraft.length === 0) {
+    showAlert("Add at least one habit!");
+    return;
+  }
+  
+  for (const habit of habitDraft) {
+    habit.label = habit.label.trim();
+    if (!habit.label) {
+      showAlert("Every habit needs a name!");
+      return;
+    }
+    if (habit.type === 'boolean') {
+      habit.min = null;
+      habit.max = null;
+      habit.unit = '';
+      continue;
+    }
+    if (habit.min === null && habit.max === null) {
+      showAlert(`${habit.label} needs a minimum or a maximum target!`);
+      return;
+    }
+    if ((habit.min !== null && habit.min < 0) || (habit.max !== null && habit.max < 0)) {
+      showAlert(`${habit.label} targets can't be negative!`);
+      return;
+    }
+    if (habit.min !== null && habit.max !== null && habit.min > habit.max) {
+      showAlert(`${habit.label} minimum must not be greater than its maximum!`);
+      return;
+    }
+  }
+  
+  // Give new habits an id
+  const takenIds = habitDraft.filter(habit => habit.id).map(habit => habit.id);
+  habitDraft.forEach(habit => {
+    if (!habit.id) {
+      habit.id = generateHabitId(habit.label, takenIds);
+      takenIds.push(habit.id);
+    }
+  });
+  
+  // Weights and reminder times are edited in their own cards, so keep the saved ones
+  getChallenge().habits = habitDraft.map(habit => {
+    const savedHabit = getHabit(habit.id);
+    return savedHabit
+      ? { ...habit, weight: savedHabit.weight, reminder: savedHabit.reminder }
+      : habit;
+  });
+  
+  // Re-evaluate today against the new habit list
+  rescoreCurrentDay();
+  
+  saveData();
+  
+  renderHabitGrid();
+  renderHabitEditor();
+  renderScoringSettings();
+  renderStreakRules();
+  renderTargetSettings();
+  renderReminderSettings();
+  loadCurrentDayUI();
+  
+  showFeedback("Habits saved!");
+  
+  if (getChallenge().scoring.mode === 'weighted' && !isWeightTotalValid(getTotalWeight())) {
+    setTimeout(() => {
+      showAlert(`Habit weights now add up to ${formatWeightTotal(getTotalWeight())} instead of ${MAX_SCORE}. Adjust them under Scoring.`);
+    }, 500);
+  }
+}
+
+/**
+ * Recalculate today's completion flags and score (unless the day is locked)
+ */
+function rescoreCurrentDay() {
+  const dayData = getCurrentDayData();
+  if (dayData.completed || dayData.missed) return;
+  
+  // Today takes the new targets; earlier days keep the ones they were judged against
+  snapshotDayRules(dayData, getChallenge().currentDay, getChallenge(), true);
+  getHabits().forEach(habit => {
+    dayData.completedHabits[habit.id] = isHabitCompleted(habit.id, dayData[habit.id], dayData);
+  });
+  dayData.score = calculateDayScore(dayData);
+}
+
+// ============================================
+// SETTINGS - SCORING
+// ============================================
+
+/**
+ * Sum of all habit weights
+ */
+function getTotalWeight() {
+  return getHabits().reduce((sum, habit) => sum + (habit.weight || 0), 0);
+}
+
+/**
+ * Whether weights add up to MAX_SCORE
+ * Decimal weights (e.g. 33.3 + 33.3 + 33.4) don't add up exactly in floating point
+ */
+function isWeightTotalValid(total) {
+  return Math.abs(total - MAX_SCORE) < 0.01;
+}
+
+/**
+ * Weight total for messages, without floating point noise (99.99999999999999 → 100)
+ */
+function formatWeightTotal(total) {
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Draw the scoring mode selector and the per-habit weight inputs
+ */
+function renderScoringSettings() {
+  const modeElement = document.getElementById("scoring-mode");
+  const weightsElement = document.getElementById("scoring-weights");
+  if (!modeElement || !weightsElement) return;
+  
+  modeElement.innerHTML = Object.keys(SCORING_MODES).map(mode => {
+    const selected = mode === getChallenge().scoring.mode ? "selected" : "";
+    return `<option value="${mode}" ${selected}>${SCORING_MODES[mode]}</option>`;
+  }).join("");
+  
+  weightsElement.innerHTML = getHabits().map(habit => `
+    <label class="weight-row">
+      <span>${escapeHtml(habit.icon)} ${escapeHtml(habit.label)}</span>
+      <input type="number" min="0" max="${MAX_SCORE}" step="any" data-habit="${habit.id}" value="${Number(habit.weight) || 0}" oninput="updateWeightTotal()">
+    </label>
+  `).join("");
+  
+  toggleWeightInputs();
+  updateWeightTotal();
+}
+
+/**
+ * Weights only apply to weighted mode
+ */
+function toggleWeightInputs() {
+  const modeElement = document.getElementById("scoring-mode");
+  const weightsSection = document.getElementById("scoring-weights-section");
+  if (!modeElement || !weightsSection) return;
+  
+  weightsSection.style.display = modeElement.value === 'weighted' ? "block" : "none";
+}
+
+/**
+ * Read the weight inputs as { habitId: weight }
+ */
+function readWeightInputs() {
+  const weights = {};
+  document.querySelectorAll("#scoring-weights input").forEach(input => {
+    const weight = parseFloat(input.value);
+    weights[input.dataset.habit] = isNaN(weight) ? 0 : weight;
+  });
+  return weights;
+}
+
+/**
+ * Show the running total of the weight inputs
+ */
+function updateWeightTotal() {
+  const totalElement = document.getElementById("weight-total");
+  if (!totalElement) return;
+  
+  const weights = readWeightInputs();
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  totalElement.innerText = `Total: ${formatWeightTotal(total)} / ${MAX_SCORE}`;
+  totalElement.classList.toggle("invalid", !isWeightTotalValid(total));
+}
+
+/**
+ * Save the scoring mode (and weights, which must add up to 100)
+ * Re-scores today; scores of earlier days are kept as they were
+ */
+function saveScoringSettings() {
+  const modeElement = document.getElementById("scoring-mode");
+  if (!modeElement) return;
+  
+  const mode = modeElement.value;
+  const weights = readWeightInputs();
+  
+  if (mode === 'weighted') {
+    const values = Object.values(weights);
+    if (values.some(weight => weight < 0)) {
+      showAlert("Weights can't be negative!");
+      return;
+    }
+    const total = values.reduce((sum, weight) => sum + weight, 0);
+    if (!isWeightTotalValid(total)) {
+      showAlert(`Weights must add up to ${MAX_SCORE}. They currently add up to ${formatWeightTotal(total)}.`);
+      return;
+    }
+  }
+  
+  getHabits().forEach(habit => {
+    if (weights[habit.id] !== undefined) {
+      habit.weight = weights[habit.id];
+    }
+  });
+  getChallenge().scoring.mode = mode;
+  
+  rescoreCurrentDay();
+  saveData();
+  loadCurrentDayUI();
+  
+  showFeedback("Scoring saved!");
+}
+
+// ============================================
+// SETTINGS - STREAK RULES
+// ============================================
+
+/**
+ * Fill the Streak Rules card from the active challenge
+ */
+function renderStreakRules() {
+  const rules = getChallenge().rules;
+  
+  const freezeEveryElement = document.getElementById("freeze-every");
+  if (freezeEveryElement) {
+    freezeEveryElement.value = rules.freezeEvery;
+  }
+  const maxFreezesElement = document.getElementById("max-freezes");
+  if (maxFreezesElement) {
+    maxFreezesElement.value = rules.maxFreezes;
+  }
+  
+  const weekdaysElement = document.getElementById("rest-weekdays");
+  if (weekdaysElement) {
+    weekdaysElement.innerHTML = WEEKDAY_NAMES.map((name, weekday) => `
+      <label class="rule-option">
+        <input type="checkbox" value="${weekday}" ${rules.restWeekdays.includes(weekday) ? "checked" : ""}>
+        ${name.slice(0, 3)}
+      </label>
+    `).join("");
+  }
+  
+  const habitsElement = document.getElementById("rest-habits");
+  if (habitsElement) {
+    habitsElement.innerHTML = getHabits().map(habit => `
+      <label class="rule-option">
+        <input type="checkbox" value="${habit.id}" ${rules.restHabits.includes(habit.id) ? "checked" : ""}>
+        ${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)}
+      </label>
+    `).join("");
+  }
+  
+  const statusElement = document.getElementById("freeze-status");
+  if (statusElement) {
+    statusElement.innerText = rules.freezeEvery > 0
+      ? `❄️ ${getChallenge().freezes} of ${rules.maxFreezes} freezes saved up.`
+      : "Streak freezes are off.";
+  }
+}
+
+/**
+ * Save the Streak Rules card and recount the streak under the new rules
+ * Past days that now meet a rest day's requirements count as completed
+ */
+function saveStreakRules() {
+  const challenge = getChallenge();
+  const freezeEvery = Number(document.getElementById("freeze-every").value || 0);
+  const maxFreezes = Number(document.getElementById("max-freezes").value || 0);
+  
+  if (!Number.isInteger(freezeEvery) || freezeEvery < 0 || !Number.isInteger(maxFreezes) || maxFreezes < 0) {
+    showAlert("Freeze settings must be whole numbers of 0 or more!");
+    return;
+  }
+  
+  const checkedValues = containerId => {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => input.value);
+  };
+  
+  challenge.rules = {
+    freezeEvery,
+    maxFreezes,
+    restWeekdays: checkedValues("rest-weekdays").map(Number),
+    restHabits: checkedValues("rest-habits")
+  };
+  
+  Object.keys(challenge.days).map(Number).forEach(day => {
+    const dayData = challenge.days[day];
+    if (dayData.missed && !dayData.completed && areAllHabitsCompleted(dayData, challenge)) {
+      dayData.completed = true;
+      delete dayData.missed;
+    }
+  });
+  
+  // Save data and recount streak
+  updateStreak();
+  loadCurrentDayUI();
+  renderCalendar();
+  renderStreakRules();
+  
+  showFeedback("Streak rules saved!");
+}
+
+// ============================================
+// SETTINGS - TARGETS
+// ============================================
+
+/**
+ * Fill the Targets card: habit choices, scheduled changes and overload plans
+ * Each entry previews the target today and on the last day of the challenge
+ */
+function renderTargetSettings() {
+  const challenge = getChallenge();
+  const numberHabits = getHabits().filter(habit => habit.type !== 'boolean');
+  const habitOptions = numberHabits.map(habit => `
+    <option value="${escapeHtml(habit.id)}">${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)}</option>
+  `).join("");
+  
+  ["target-habit", "overload-habit"].forEach(id => {
+    const select = document.getElementById(id);
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = habitOptions;
+      if (numberHabits.some(habit => habit.id === selected)) {
+        select.value = selected;
+      }
+    }
+  });
+  
+  ["target-from-day", "overload-from-day"].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.min = challenge.currentDay;
+      input.max = challenge.length;
+      if (!input.value || Number(input.value) < challenge.currentDay) {
+        input.value = challenge.currentDay;
+      }
+    }
+  });
+  
+  const preview = habit => {
+    const describe = day => describeHabitRule(habit, { rules: { [habit.id]: getRuleForDay(challenge, habit, day) } });
+    return `today ${escapeHtml(describe(challenge.currentDay))}, day ${challenge.length} ${escapeHtml(describe(challenge.length))}`;
+  };
+  
+  const listElement = document.getElementById("target-list");
+  if (!listElement) return;
+  
+  const items = [];
+  challenge.ruleChanges.slice().sort((a, b) => a.fromDay - b.fromDay).forEach(change => {
+    const habit = getHabit(change.habit);
+    if (!habit) return;
+    const target = describeHabitRule(habit, { rules: { [habit.id]: { type: habit.type, min: change.min, max: change.max } } });
+    items.push(`
+      <div class="target-item">
+        <div>
+          <strong>${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)}</strong>: ${escapeHtml(target)} from day ${change.fromDay}
+          <div class="settings-hint">Now: ${preview(habit)}</div>
+        </div>
+        <button class="secondary" data-change-id="${change.id}">Remove</button>
+      </div>
+    `);
+  });
+  challenge.overloadPlans.forEach(plan => {
+    const habit = getHabit(plan.habit);
+    if (!habit) return;
+    const amount = `${plan.amount > 0 ? "+" : ""}${plan.amount}${habit.unit ? " " + habit.unit : ""}`;
+    items.push(`
+      <div class="target-item">
+        <div>
+          <strong>${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)}</strong>: ${escapeHtml(amount)} every ${plan.everyDays} days from day ${plan.fromDay}
+          <div class="settings-hint">Now: ${preview(habit)}</div>
+        </div>
+        <button class="secondary" data-plan-id="${plan.id}">Remove</button>
+      </div>
+    `);
+  });
+  
+  listElement.innerHTML = items.length
+    ? items.join("")
+    : `<p class="settings-hint">No target changes yet - every day uses the targets set under Habits.</p>`;
+  listElement.querySelectorAll("[data-change-id]").forEach(button => {
+    button.addEventListener("click", () => removeTargetChange(button.dataset.changeId));
+  });
+  listElement.querySelectorAll("[data-plan-id]").forEach(button => {
+    button.addEventListener("click", () => removeOverloadPlan(button.dataset.planId));
+  });
+}
+
+/**
+ * Read a day number for a new target change or plan
+ * Returns null (after telling the user) when it's in the past or past the end
+ */
+function readFromDay(inputId) {
+  const challenge = getChallenge();
+  const fromDay = Number(document.getElementById(inputId).value);
+  if (!Number.isInteger(fromDay) || fromDay < challenge.currentDay || fromDay > challenge.length) {
+    showAlert(`Choose a day from ${challenge.currentDay} to ${challenge.length}. Past days keep the targets they were judged against.`);
+    return null;
+  }
+  return fromDay;
+}
+
+/**
+ * Schedule a new min/max for a habit from a chosen day forward
+ * Replaces an earlier change for the same habit and day
+ */
+function scheduleTargetChange() {
+  const challenge = getChallenge();
+  const habit = getHabit(document.getElementById("target-habit").value);
+  if (!habit) {
+    showAlert("Choose a habit to change!");
+    return;
+  }
+  const fromDay = readFromDay("target-from-day");
+  if (fromDay === null) return;
+  
+  const minText = document.getElementById("target-min").value.trim();
+  const maxText = document.getElementById("target-max").value.trim();
+  const min = minText === "" ? null : Number(minText);
+  const max = maxText === "" ? null : Number(maxText);
+  if (min === null && max === null) {
+    showAlert("Enter a minimum, a maximum or both!");
+    return;
+  }
+  if ((min !== null && (isNaN(min) || min < 0)) || (max !== null && (isNaN(max) || max < 0))) {
+    showAlert("Targets must be numbers of 0 or more!");
+    return;
+  }
+  if (min !== null && max !== null && min > max) {
+    showAlert("The minimum can't be more than the maximum!");
+    return;
+  }
+  
+  challenge.ruleChanges = challenge.ruleChanges.filter(change => !(change.habit === habit.id && change.fromDay === fromDay));
+  challenge.ruleChanges.push({ id: `change-${Date.now()}`, habit: habit.id, fromDay, min, max });
+  
+  document.getElementById("target-min").value = "";
+  document.getElementById("target-max").value = "";
+  applyTargetChanges(`${habit.label} target changes from day ${fromDay}!`);
+}
+
+/**
+ * Add a plan that moves a habit's target by a fixed amount every few days
+ * A negative amount lowers the target (e.g. less screen time each week)
+ */
+function addOverloadPlan() {
+  const challenge = getChallenge();
+  const habit = getHabit(document.getElementById("overload-habit").value);
+  if (!habit) {
+    showAlert("Choose a habit for the plan!");
+    return;
+  }
+  const fromDay = readFromDay("overload-from-day");
+  if (fromDay === null) return;
+  
+  const amount = Number(document.getElementById("overload-amount").value);
+  const everyDays = Number(document.getElementById("overload-every").value);
+  if (!amount || isNaN(amount)) {
+    showAlert("Enter how much to change the target by!");
+    return;
+  }
+  if (!Number.isInteger(everyDays) || everyDays < 1) {
+    showAlert("Steps must be at least 1 day apart!");
+    return;
+  }
+  
+  challenge.overloadPlans.push({ id: `plan-${Date.now()}`, habit: habit.id, amount, everyDays, fromDay });
+  
+  document.getElementById("overload-amount").value = "";
+  applyTargetChanges(`${habit.label} plan added!`);
+}
+
+/**
+ * Remove a scheduled target change
+ */
+function removeTargetChange(id) {
+  const challenge = getChallenge();
+  challenge.ruleChanges = challenge.ruleChanges.filter(change => change.id !== id);
+  applyTargetChanges("Target change removed!");
+}
+
+/**
+ * Remove an overload plan
+ */
+function removeOverloadPlan(id) {
+  const challenge = getChallenge();
+  challenge.overloadPlans = challenge.overloadPlans.filter(plan => plan.id !== id);
+  applyTargetChanges("Plan removed!");
+}
+
+/**
+ * Save target changes and re-judge today if it's still open
+ * Closed days keep their snapshot, so the past is never rewritten
+ */
+function applyTargetChanges(message) {
+  rescoreCurrentDay();
+  saveData();
+  
+  renderHabitGrid();
+  loadCurrentDayUI();
+  renderTargetSettings();
+  
+  showFeedback(message);
+}
+
+// ============================================
+// CHALLENGES - SWITCHER & SETTINGS
+// ============================================
+
+/**
+ * Unique id for a new challenge
+ */
+function generateChallengeId(challenges = appData.challenges) {
+  let id = `challenge-${Date.now()}`;
+  while (challenges && challenges.some(challenge => challenge.id === id)) {
+    id += "-1";
+  }
+  return id;
+}
+
+/**
+ * Fill every challenge switcher and show the active challenge's name and length
+ * The switchers are hidden while there is only one challenge
+ */
+function renderChallengeSwitcher() {
+  const active = getChallenge();
+  const options = appData.challenges.map(challenge => {
+    const selected = challenge.id === active.id ? " selected" : "";
+    return `<option value="${escapeHtml(challenge.id)}"${selected}>${escapeHtml(challenge.name)}</option>`;
+  }).join("");
+  
+  document.querySelectorAll(".challenge-switcher").forEach(select => {
+    select.innerHTML = options;
+    select.hidden = appData.challenges.length < 2;
+  });
+  
+  document.querySelectorAll(".challenge-name").forEach(element => {
+    element.innerText = active.name;
+  });
+  document.querySelectorAll(".challenge-length").forEach(element => {
+    element.innerText = active.length;
+  });
+  document.title = active.name;
+}
+
+/**
+ * Make another challenge the active one and redraw everything for it
+ */
+function switchChallenge(challengeId) {
+  if (!appData.challenges.some(challenge => challenge.id === challengeId)) return;
+  
+  appData.activeChallengeId = challengeId;
+  saveData();
+  refreshAllUI();
+  
+  const statsPage = document.getElementById("stats");
+  if (statsPage && statsPage.classList.contains("active")) {
+    renderStats();
+  }
+  
+  showFeedback(`Switched to ${getChallenge().name}`);
+}
+
+/**
+ * List all running challenges in Settings and reset the "new challenge" form
+ */
+function renderChallengeList() {
+  const listElement = document.getElementById("challenge-list");
+  if (!listElement) return;
+  
+  const activeId = getChallenge().id;
+  listElement.innerHTML = appData.challenges.map(challenge => {
+    const isActive = challenge.id === activeId;
+    const status = isChallengeOver(challenge)
+      ? "Finished"
+      : `Day ${challenge.currentDay} of ${challenge.length}`;
+    const switchButton = isActive
+      ? `<span class="challenge-active">Active</span>`
+      : `<button class="secondary challenge-switch" data-challenge-id="${challenge.id}">Switch</button>`;
+    const removeButton = appData.challenges.length > 1
+      ? `<button class="secondary challenge-remove" data-challenge-id="${challenge.id}" title="Remove challenge">✕</button>`
+      : "";
+    return `
+      <div class="challenge-row">
+        <div>
+          <strong>${escapeHtml(challenge.name)}</strong>
+          <p class="settings-hint">${status} · ${challenge.streak} 🔥</p>
+        </div>
+        <div class="challenge-row-actions">${switchButton}${removeButton}</div>
+      </div>
+    `;
+  }).join("");
+  listElement.querySelectorAll(".challenge-switch").forEach(button => {
+    button.addEventListener("click", () => switchChallenge(button.dataset.challengeId));
+  });
+  listElement.querySelectorAll(".challenge-remove").forEach(button => {
+    button.addEventListener("click", () => removeChallenge(button.dataset.challengeId));
+  });
+  
+  // Length choices for a new challenge
+  const lengthElement = document.getElementById("new-challenge-length");
+  if (lengthElement && lengthElement.options.length === 0) {
+    lengthElement.innerHTML = CHALLENGE_LENGTH_PRESETS.map(length => {
+      const selected = length === DEFAULT_CHALLENGE_DAYS ? " selected" : "";
+      return `<option value="${length}"${selected}>${length} days</option>`;
+    }).join("") + `<option value="custom">Custom…</option>`;
+  }
+  toggleCustomLength();
+  
+  // A challenge can start today or in the past, never in the future
+  const startElement = document.getElementById("new-challenge-start");
+  if (startElement) {
+    startElement.max = toDateKey(new Date());
+    if (!startElement.value) {
+      startElement.value = startElement.max;
+    }
+  }
+}
+
+/**
+ * Show the custom length input only when "Custom…" is picked
+ */
+function toggleCustomLength() {
+  const lengthElement = document.getElementById("new-challenge-length");
+  const customElement = document.getElementById("new-challenge-custom-length");
+  if (!lengthElement || !customElement) return;
+  
+  customElement.style.display = lengthElement.value === "custom" ? "" : "none";
+}
+
+/**
+ * Create a challenge from the Settings form and switch to it
+ * Days between the chosen start date and today are recorded as missed
+ */
+function createNewChallenge() {
+  const nameElement = document.getElementById("new-challenge-name");
+  const lengthElement = document.getElementById("new-challenge-length");
+  const customElement = document.getElementById("new-challenge-custom-length");
+  const startElement = document.getElementById("new-challenge-start");
+  const copyElement = document.getElementById("new-challenge-copy-habits");
+  if (!nameElement || !lengthElement || !startElement) return;
+  
+  const name = nameElement.value.trim();
+  if (!name) {
+    showAlert("Give the challenge a name!");
+    return;
+  }
+  
+  const length = Number(lengthElement.value === "custom" ? customElement.value : lengthElement.value);
+  if (!Number.isInteger(length) || length < 1 || length > MAX_CHALLENGE_DAYS) {
+    showAlert(`Challenge length must be a whole number of days between 1 and ${MAX_CHALLENGE_DAYS}!`);
+    return;
+  }
+  
+  const startDate = startElement.value || toDateKey(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || startDate > toDateKey(new Date())) {
+    showAlert("The start date can't be in the future!");
+    return;
+  }
+  
+  const habits = copyElement && copyElement.checked
+    ? JSON.parse(JSON.stringify(getHabits()))
+    : cloneDefaultHabits();
+  const challenge = createChallenge(name, length, generateChallengeId(), habits);
+  challenge.startDate = startDate;
+  if (copyElement && copyElement.checked) {
+    challenge.scoring = { ...getChallenge().scoring };
+    challenge.rules = cloneStreakRules(getChallenge().rules);
+  }
+  syncCurrentDayWithCalendar(challenge);
+  challenge.streak = calculateStreak(challenge);
+  
+  appData.challenges.push(challenge);
+  
+  nameElement.value = "";
+  startElement.value = "";
+  switchChallenge(challenge.id);
+}
+
+/**
+ * Remove a running challenge; its logged days are kept in Past Challenges
+ * The last remaining challenge can't be removed (restart it instead)
+ */
+function removeChallenge(challengeId) {
+  const challenge = appData.challenges.find(entry => entry.id === challengeId);
+  if (!challenge || appData.challenges.length < 2) return;
+  
+  showConfirm("Its logged days will be moved to Past Challenges.", {
+    title: `Remove "${challenge.name}"?`,
+    confirmLabel: "Remove",
+    danger: true
+  }).then(confirmed => {
+    if (!confirmed) return;
+    
+    archiveChallengeRun(challenge);
+    appData.challenges = appData.challenges.filter(entry => entry.id !== challengeId);
+    if (appData.activeChallengeId === challengeId) {
+      appData.activeChallengeId = appData.challenges[0].id;
+    }
+    
+    saveData();
+    refreshAllUI();
+    showFeedback(`🗂️ ${challenge.name} moved to Past Challenges`);
+  });
+}
+
+// ============================================
+// BACKUP - JSON EXPORT / IMPORT
+// ============================================
+
+// Backup file format - bump the version when the file layout changes
+const BACKUP_FORMAT = "betterMe-backup";
+// Version 1 files hold a single challenge in the old flat layout
+const BACKUP_VERSION = 2;
+
+// Validated backup waiting for the user to pick Replace or Merge
+let pendingImport = null;
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the whole of appData as a versioned JSON file
+ */
+function exportBackup() {
+  // Sync and team settings hold this browser's access token and member key, so they
+  // stay here (importing a backup keeps the importing browser's own settings anyway)
+  const data = { ...appData };
+  delete data.sync;
+  delete data.team;
+  
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+  
+  downloadFile(`better-me-backup-${toDateKey(new Date())}.json`, JSON.stringify(backup, null, 2), "application/json");
+  showFeedback("💾 Backup downloaded!");
+}
+
+/**
+ * Check a parsed backup file and return its app data
+ * Also accepts a bare appData object (e.g. copied from localStorage)
+ * Throws an Error describing the first problem found
+ */
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object') {
+    throw new Error("The file does not contain a backup.");
+  }
+  
+  let data = backup;
+  if (backup.format !== undefined) {
+    if (backup.format !== BACKUP_FORMAT) {
+      throw new Error("This is not a 100 Days Better Me backup.");
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+      throw new Error("This backup was made by a newer version of the app.");
+    }
+    data = backup.data;
+  }
+  
+  if (!data || typeof data !== 'object') {
+    throw new Error("The backup has no day records.");
+  }
+  
+  if (typeof data.schemaVersion === 'number' && data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error("This backup was made by a newer version of the app.");
+  }
+  
+  // Older backups are brought up to the current layout first
+  data = migrateData(JSON.parse(JSON.stringify(data)));
+  
+  if (!Array.isArray(data.challenges) || data.challenges.length === 0) {
+    throw new Error("The backup has no challenges.");
+  }
+  data.challenges.forEach(validateBackupChallenge);
+  
+  const validArchive = data.archive === undefined || (Array.isArray(data.archive) && data.archive.every(isValidArchivedRun));
+  if (!validArchive) {
+    throw new Error("The backup has an invalid archive of past challenges.");
+  }
+  
+  return data;
+}
+
+/**
+ * Check one challenge in a backup; throws an Error if it is malformed
+ */
+function validateBackupChallenge(challenge) {
+  if (!challenge || typeof challenge !== 'object' || typeof challenge.id !== 'string') {
+    throw new Error("The backup contains a challenge without an id.");
+  }
+  if (!ID_PATTERN.test(challenge.id)) {
+    throw new Error("The backup contains a challenge with an invalid id.");
+  }
+  const name = challenge.name || challenge.id;
+  
+  if (!Number.isInteger(challenge.length) || challenge.length < 1 || challenge.length > MAX_CHALLENGE_DAYS) {
+    throw new Error(`"${name}" has an invalid length.`);
+  }
+  if (!challenge.days || typeof challenge.days !== 'object' || Array.isArray(challenge.days)) {
+    throw new Error(`"${name}" has no day records.`);
+  }
+  
+  for (const day of Object.keys(challenge.days)) {
+    const dayNum = Number(day);
+    if (!Number.isInteger(dayNum) || dayNum < 1 || dayNum > challenge.length) {
+      throw new Error(`"${name}" contains an invalid day number: ${day}`);
+    }
+    const dayData = challenge.days[day];
+    if (!dayData || typeof dayData !== 'object' || !dayData.completedHabits || typeof dayData.completedHabits !== 'object') {
+      throw new Error(`Day ${day} of "${name}" is malformed.`);
+    }
+  }
+  
+  if (challenge.currentDay !== undefined && typeof challenge.currentDay !== 'number') {
+    throw new Error(`"${name}" has an invalid current day.`);
+  }
+  if (challenge.startDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(challenge.startDate)) {
+    throw new Error(`"${name}" has an invalid start date.`);
+  }
+  if (challenge.habits !== undefined) {
+    const validHabits = Array.isArray(challenge.habits) && challenge.habits.every(habit => isValidHabit(habit) && hasValidHabitFields(habit));
+    if (!validHabits) {
+      throw new Error(`"${name}" has invalid habit definitions.`);
+    }
+  }
+}
+
+/**
+ * Whether a habit definition has a usable id and a label
+ */
+function isValidHabit(habit) {
+  return Boolean(habit) && typeof habit.id === 'string' && ID_PATTERN.test(habit.id) && typeof habit.label === 'string';
+}
+
+/**
+ * Whether a habit's optional fields hold what the app writes there
+ * They end up in input attributes, so a backup with anything else is rejected
+ */
+function hasValidHabitFields(habit) {
+  const isNumberOrUnset = value => value === undefined || value === null || Number.isFinite(value);
+  const isStep = habit.step === undefined || habit.step === null || (Number.isFinite(habit.step) && habit.step > 0);
+  const isReminder = habit.reminder === undefined || habit.reminder === null ||
+    (typeof habit.reminder === 'string' && isValidReminderTime(habit.reminder));
+  const isWeight = habit.weight === undefined || (Number.isFinite(habit.weight) && habit.weight >= 0);
+  return isNumberOrUnset(habit.min) && isNumberOrUnset(habit.max) && isStep && isReminder && isWeight;
+}
+
+/**
+ * Drop optional habit fields that don't hold what the app writes there, in place
+ * (the stored-data and sync counterpart of hasValidHabitFields)
+ */
+function repairHabitFields(habit) {
+  ['min', 'max'].forEach(key => {
+    if (!Number.isFinite(habit[key])) {
+      habit[key] = null;
+    }
+  });
+  if (!(Number.isFinite(habit.step) && habit.step > 0)) {
+    habit.step = null;
+  }
+  if (typeof habit.reminder !== 'string' || !isValidReminderTime(habit.reminder)) {
+    habit.reminder = null;
+  }
+  if (!(Number.isFinite(habit.weight) && habit.weight >= 0)) {
+    habit.weight = 0;
+  }
+}
+
+/**
+ * Whether a past run has everything the Archive page and the badges read:
+ * an id, a length, start and end dates, valid habits and an object of day records
+ */
+function isValidArchivedRun(run) {
+  if (!run || typeof run !== 'object' || typeof run.id !== 'string' || !ID_PATTERN.test(run.id)) return false;
+  if (!Number.isInteger(run.length) || run.length < 1 || run.length > MAX_CHALLENGE_DAYS) return false;
+  if (![run.startDate, run.endDate].every(dateKey => typeof dateKey === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateKey))) return false;
+  if (!Array.isArray(run.habits) || !run.habits.every(isValidHabit)) return false;
+  if (!run.days || typeof run.days !== 'object' || Array.isArray(run.days)) return false;
+  
+  return Object.keys(run.days).every(day => {
+    const dayNum = Number(day);
+    const dayData = run.days[day];
+    return Number.isInteger(dayNum) && dayNum >= 1 && dayNum <= run.length &&
+      Boolean(dayData) && typeof dayData === 'object' && !Array.isArray(dayData);
+  });
+}
+
+/**
+ * Read the chosen backup file, validate it and show the preview
+ */
+function handleImportFile(inputElement) {
+  const file = inputElement.files && inputElement.files[0];
+  inputElement.value = "";
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = validateBackup(JSON.parse(reader.result));
+    } catch (error) {
+      const reason = error instanceof SyntaxError ? "The file is not valid JSON." : error.message;
+      showAlert(`Could not import backup.\n\n${reason}`);
+      return;
+    }
+    
+    pendingImport = data;
+    showImportPreview(data);
+  };
+  reader.onerror = () => {
+    showAlert("Could not read the file!");
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Summary numbers for a set of app data, used in the import preview
+ * Day counts cover every challenge; streak is the sum of all current streaks
+ */
+function summarizeData(data) {
+  const days = [];
+  data.challenges.forEach(challenge => {
+    days.push(...Object.values(challenge.days || {}));
+  });
+  return {
+    challenges: data.challenges.map(challenge => challenge.name || challenge.id).join(", "),
+    logged: days.filter(dayData => !dayData.missed).length,
+    completed: days.filter(dayData => dayData.completed).length,
+    streak: data.challenges.reduce((sum, challenge) => sum + (challenge.streak || 0), 0),
+    archived: Array.isArray(data.archive) ? data.archive.length : 0,
+    motivation: data.whyStarted || ""
+  };
+}
+
+/**
+ * Show current vs. backup side by side before anything changes
+ */
+function showImportPreview(data) {
+  const previewElement = document.getElementById("import-preview");
+  const tableElement = document.getElementById("import-preview-table");
+  if (!previewElement || !tableElement) return;
+  
+  const current = summarizeData(appData);
+  const incoming = summarizeData(data);
+  const shorten = text => text.length > 60 ? text.slice(0, 60) + "…" : text;
+  
+  const rows = [
+    ["Challenges", current.challenges, incoming.challenges],
+    ["Days logged", current.logged, incoming.logged],
+    ["Days completed", current.completed, incoming.completed],
+    ["Streak", current.streak + " 🔥", incoming.streak + " 🔥"],
+    ["Past challenges", current.archived, incoming.archived],
+    ["Motivation", shorten(current.motivation) || "—", shorten(incoming.motivation) || "—"]
+  ];
+  
+  tableElement.innerHTML = `
+    <tr><th></th><th>Current</th><th>Backup</th></tr>
+    ${rows.map(([label, now, then]) => {
+      const changed = String(now) !== String(then) ? ' class="changed"' : "";
+      return `<tr${changed}><td>${label}</td><td>${escapeHtml(now)}</td><td>${escapeHtml(then)}</td></tr>`;
+    }).join("")}
+  `;
+  
+  const noteElement = document.getElementById("import-preview-note");
+  if (noteElement) {
+    const restarted = getRestartedChallenges(appData, data);
+    noteElement.textContent = restarted.length > 0
+      ? `${restarted.map(challenge => challenge.name).join(", ")} started on a different date in the backup. Merge adds ${restarted.length === 1 ? "it" : "them"} as a separate challenge instead of mixing up the days.`
+      : "";
+    noteElement.style.display = restarted.length > 0 ? "" : "none";
+  }
+  
+  previewElement.style.display = "block";
+}
+
+/**
+ * Hide the preview and forget the pending backup
+ */
+function cancelImport() {
+  pendingImport = null;
+  const previewElement = document.getElementById("import-preview");
+  if (previewElement) {
+    previewElement.style.display = "none";
+  }
+}
+
+/**
+ * Count how many habit values were logged in a day record
+ */
+function countLoggedValues(dayData) {
+  return Object.keys(dayData.completedHabits || {}).filter(habitId => {
+    return dayData[habitId] !== null && dayData[habitId] !== undefined;
+  }).length;
+}
+
+/**
+ * Backup challenges that share an id with one of ours but started on another date
+ * Their day numbers don't line up with ours, so Merge adds them as challenges of their own
+ */
+function getRestartedChallenges(current, incoming) {
+  return incoming.challenges.filter(theirChallenge => {
+    const ourChallenge = current.challenges.find(challenge => challenge.id === theirChallenge.id);
+    return ourChallenge && ourChallenge.startDate !== theirChallenge.startDate;
+  });
+}
+
+/**
+ * Combine a backup into the current data
+ * Challenges are matched by id (and start date); challenges only in the backup are added
+ */
+function mergeAppData(current, incoming) {
+  const merged = JSON.parse(JSON.stringify(current));
+  const restarted = getRestartedChallenges(current, incoming);
+  
+  incoming.challenges.forEach(theirChallenge => {
+    const ourChallenge = merged.challenges.find(challenge => challenge.id === theirChallenge.id);
+    if (restarted.includes(theirChallenge)) {
+      merged.challenges.push({
+        ...theirChallenge,
+        id: generateChallengeId(merged.challenges),
+        name: `${theirChallenge.name} (from backup)`
+      });
+    } else if (ourChallenge) {
+      mergeChallengeDays(ourChallenge, theirChallenge);
+    } else {
+      merged.challenges.push(theirChallenge);
+    }
+  });
+  
+  if (!merged.whyStarted && incoming.whyStarted) {
+    merged.whyStarted = incoming.whyStarted;
+  }
+  
+  // Badges keep their earliest unlock date
+  merged.achievements = merged.achievements || {};
+  Object.keys(incoming.achievements || {}).forEach(id => {
+    const theirs = incoming.achievements[id];
+    if (!merged.achievements[id] || theirs < merged.achievements[id]) {
+      merged.achievements[id] = theirs;
+    }
+  });
+  
+  // Past challenges only in the backup are added
+  merged.archive = merged.archive || [];
+  (incoming.archive || []).forEach(run => {
+    if (!merged.archive.some(ourRun => ourRun.id === run.id)) {
+      merged.archive.push(run);
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Merge one challenge's days and habits into ours
+ * Days are matched by day number: a completed day beats an incomplete one,
+ * otherwise the record with more logged habits wins (current data on a tie)
+ */
+function mergeChallengeDays(ours, theirs) {
+  Object.keys(theirs.days).forEach(day => {
+    const ourDay = ours.days[day];
+    const theirDay = theirs.days[day];
+    
+    if (!ourDay) {
+      ours.days[day] = theirDay;
+    } else if (ourDay.completed !== theirDay.completed) {
+      ours.days[day] = theirDay.completed ? theirDay : ourDay;
+    } else if (countLoggedValues(theirDay) > countLoggedValues(ourDay)) {
+      ours.days[day] = theirDay;
+    }
+  });
+  
+  // Habits only in the backup are added after ours
+  (theirs.habits || []).forEach(habit => {
+    if (!ours.habits.some(ourHabit => ourHabit.id === habit.id)) {
+      ours.habits.push(habit);
+    }
+  });
+}
+
+/**
+ * Apply the pending backup, either replacing everything or merging it in
+ */
+function applyImport(mode) {
+  if (!pendingImport) return;
+  
+  const incoming = JSON.parse(JSON.stringify(pendingImport));
+  // Sync and team settings belong to this browser, not the backup
+  incoming.sync = appData.sync;
+  incoming.team = appData.team;
+  appData = mode === 'merge' ? mergeAppData(appData, incoming) : incoming;
+  
+  ensureDataShape();
+  syncAllChallenges();
+  saveData();
+  
+  cancelImport();
+  refreshAllUI();
+  
+  showFeedback(mode === 'merge' ? "📥 Backup merged!" : "📥 Backup restored!");
+}
+
+// ============================================
+// SPREADSHEET - CSV EXPORT / IMPORT
+// ============================================
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = "";
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ""));
+}
+
+/**
+ * Download one row per day of the active challenge: day, date, habit values, completion flags, score, completed
+ */
+function exportCsv() {
+  const challenge = getChallenge();
+  const habits = getHabits();
+  const header = ["day", "date"]
+    .concat(habits.map(habit => habit.id))
+    .concat(habits.map(habit => `${habit.id}_done`))
+    .concat(["score", "completed"]);
+  
+  const lines = [header.map(toCsvField).join(",")];
+  
+  Object.keys(challenge.days)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach(day => {
+      const dayData = challenge.days[day];
+      const row = [day, dayData.date || getDateForDay(day)]
+        .concat(habits.map(habit => dayData[habit.id]))
+        .concat(habits.map(habit => dayData.completedHabits[habit.id] ? "yes" : "no"))
+        .concat([dayData.score, dayData.completed ? "yes" : "no"]);
+      lines.push(row.map(toCsvField).join(","));
+    });
+  
+  downloadFile(`better-me-${challenge.id}-${toDateKey(new Date())}.csv`, lines.join("\r\n"), "text/csv");
+  showFeedback("📊 CSV downloaded!");
+}
+
+/**
+ * Recalculate a day's completion flags, score and completed status
+ */
+function evaluateDay(dayData) {
+  getHabits().forEach(habit => {
+    dayData.completedHabits[habit.id] = isHabitCompleted(habit.id, dayData[habit.id], dayData);
+  });
+  dayData.score = calculateDayScore(dayData);
+  dayData.completed = areAllHabitsCompleted(dayData);
+  if (dayData.completed) {
+    delete dayData.missed;
+  }
+}
+
+/**
+ * Backfill days of the active challenge from CSV text
+ * Columns are matched to habits by id or name; date, *_done, score and completed are recalculated
+ * A row with any invalid value is skipped as a whole
+ * Returns { imported, errors: [ "Row 3 (Day 2): ..." ] }
+ */
+function importCsvText(text) {
+  const challenge = getChallenge();
+  const rows = parseCsv(text);
+  const errors = [];
+  let imported = 0;
+  
+  if (rows.length < 2) {
+    return { imported, errors: ["The file has no data rows."] };
+  }
+  
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const dayColumn = header.indexOf("day");
+  if (dayColumn === -1) {
+    return { imported, errors: ['The file needs a "day" column.'] };
+  }
+  
+  // Which column holds which habit
+  const habitColumns = [];
+  getHabits().forEach(habit => {
+    let column = header.indexOf(habit.id.toLowerCase());
+    if (column === -1) {
+      column = header.indexOf(habit.label.toLowerCase());
+    }
+    if (column !== -1) {
+      habitColumns.push({ habit, column });
+    }
+  });
+  if (habitColumns.length === 0) {
+    return { imported, errors: ["No columns match any of your habits."] };
+  }
+  
+  rows.slice(1).forEach((fields, index) => {
+    const rowNum = index + 2; // 1-based, after the header
+    const day = Number((fields[dayColumn] || "").trim());
+    const rowErrors = [];
+    
+    if (!Number.isInteger(day) || day < 1 || day > challenge.length) {
+      errors.push(`Row ${rowNum}: "${fields[dayColumn] || ""}" is not a day between 1 and ${challenge.length}.`);
+      return;
+    }
+    if (day > challenge.currentDay) {
+      errors.push(`Row ${rowNum} (Day ${day}): this day hasn't happened yet.`);
+      return;
+    }
+    if (challenge.days[day] && challenge.days[day].completed) {
+      errors.push(`Row ${rowNum} (Day ${day}): this day is already completed and locked.`);
+      return;
+    }
+    
+    const values = {};
+    habitColumns.forEach(({ habit, column }) => {
+      const rawValue = (fields[column] || "").trim();
+      if (rawValue === "") return;
+      
+      const value = parseHabitValue(habit, rawValue);
+      if (value === null) {
+        rowErrors.push(`${habit.label}: "${rawValue}" is not a valid ${habit.type === 'boolean' ? "yes/no" : "number"}`);
+      } else {
+        values[habit.id] = value;
+      }
+    });
+    
+    if (rowErrors.length > 0) {
+      errors.push(`Row ${rowNum} (Day ${day}): ${rowErrors.join("; ")}.`);
+      return;
+    }
+    if (Object.keys(values).length === 0) {
+      return;
+    }
+    
+    if (!challenge.days[day]) {
+      challenge.days[day] = createDayRecord(day, challenge);
+    }
+    const dayData = challenge.days[day];
+    Object.assign(dayData, values);
+    evaluateDay(dayData);
+    imported++;
+  });
+  
+  return { imported, errors };
+}
+
+/**
+ * Read the chosen CSV file, import it and report the result
+ */
+function handleCsvFile(inputElement) {
+  const file = inputElement.files && inputElement.files[0];
+  inputElement.value = "";
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    const result = importCsvText(reader.result);
+    
+    if (result.imported > 0) {
+      // Save data and recount streak
+      updateStreak();
+      loadCurrentDayUI();
+      renderCalendar();
+    }
+    
+    showCsvReport(result);
+  };
+  reader.onerror = () => {
+    showAlert("Could not read the file!");
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * List how many days were imported and every row that was rejected
+ */
+function showCsvReport(result) {
+  const reportElement = document.getElementById("csv-report");
+  if (!reportElement) return;
+  
+  let html = `<p><strong>${result.imported}</strong> day${result.imported === 1 ? "" : "s"} imported.</p>`;
+  if (result.errors.length > 0) {
+    html += `<p>${result.errors.length} row${result.errors.length === 1 ? " was" : "s were"} skipped:</p>`;
+    html += `<ul>${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join("")}</ul>`;
+  }
+  
+  reportElement.innerHTML = html;
+  reportElement.style.display = "block";
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+// Pages are addressed by the URL hash, e.g. #/stats or #/progress/<challenge id>/day/37,
+// so reload, the back button and bookmarks all land on the same view
+const DEFAULT_ROUTE = "dashboard";
+
+function setupNavigation() {
+  // Handle all navigation buttons (top and bottom)
+  document.querySelectorAll(".nav-btn, .nav-btn-bottom").forEach(btn => {
+    btn.addEventListener("click", () => navigateTo(btn.dataset.page || DEFAULT_ROUTE));
+  });
+  
+  // Back/forward and edited URLs
+  window.addEventListener("hashchange", applyRoute);
+}
+
+/**
+ * Go to a route (e.g. "stats" or "progress/<challenge id>/day/37"), adding a history entry
+ * Opening the route already shown just renders it again
+ */
+function navigateTo(route) {
+  if (location.hash !== `#/${route}`) {
+    history.pushState(null, "", `#/${route}`);
+  }
+  applyRoute();
+}
+
+/**
+ * Open a day of the active challenge on the Progress page
+ */
+function openDay(day) {
+  navigateTo(`progress/${getChallenge().id}/day/${day}`);
+}
+
+/**
+ * Close the day details, going back to the plain Progress route
+ */
+function closeDayRoute() {
+  if (parseRoute(location.hash).day) {
+    navigateTo("progress");
+  } else {
+    closeDayDetails();
+  }
+}
+
+/**
+ * Split a hash into { page, day, challengeId }
+ * Older links without a challenge id (#/progress/day/37) have challengeId null
+ * Returns null when it isn't a route of this app
+ */
+function parseRoute(hash) {
+  const parts = hash.replace(/^#\/?/, "").split("/").filter(Boolean);
+  if (parts.length === 0) {
+    return { page: DEFAULT_ROUTE, day: null, challengeId: null };
+  }
+  
+  const page = parts[0];
+  if (![...document.querySelectorAll(".nav-btn")].some(btn => btn.dataset.page === page)) {
+    return null;
+  }
+  if (parts.length === 1) {
+    return { page, day: null, challengeId: null };
+  }
+  
+  const challengeId = parts.length === 4 ? parts[1] : null;
+  const day = Number(parts[parts.length - 1]);
+  if (page !== "progress" || (parts.length !== 3 && parts.length !== 4) || parts[parts.length - 2] !== "day" || !Number.isInteger(day)) {
+    return null;
+  }
+  if (challengeId !== null && !ID_PATTERN.test(challengeId)) {
+    return null;
+  }
+  return { page, day, challengeId };
+}
+
+/**
+ * Show the page (and day) in the URL
+ * A day of another challenge switches to that challenge first
+ * Unknown routes, removed challenges, days outside the challenge and a Team page
+ * without a group fall back without adding a history entry
+ */
+function applyRoute() {
+  let route = parseRoute(location.hash);
+  if (!route) {
+    route = { page: DEFAULT_ROUTE, day: null, challengeId: null };
+    history.replaceState(null, "", `#/${DEFAULT_ROUTE}`);
+  } else if (route.page === "team" && !appData.team.enabled) {
+    route = { page: DEFAULT_ROUTE, day: null, challengeId: null };
+    history.replaceState(null, "", `#/${DEFAULT_ROUTE}`);
+  } else if (route.challengeId && route.challengeId !== getChallenge().id) {
+    if (appData.challenges.some(challenge => challenge.id === route.challengeId)) {
+      // Only the view changes: following a link saves (and syncs) nothing
+      appData.activeChallengeId = route.challengeId;
+      refreshAllUI();
+    } else {
+      route.day = null;
+      history.replaceState(null, "", "#/progress");
+    }
+  }
+  
+  if (route.day !== null && (route.day < 1 || route.day > getChallenge().length)) {
+    route.day = null;
+    history.replaceState(null, "", "#/progress");
+  }
+  
+  showPage(route.page);
+  if (route.day !== null) {
+    showDayDetails(route.day);
+    document.getElementById("day-details").scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } else if (route.page === "progress") {
+    closeDayDetails();
+  }
+}
+
+/**
+ * Switch to a page and render what it shows
+ */
+function showPage(page) {
+  // Update active page
+  document.querySelectorAll(".page").forEach(p => p.classList.remove("active"));
+  const pageId = page === "progress" ? "progressPage" : page;
+  const pageElement = document.getElementById(pageId);
+  if (pageElement) {
+    pageElement.classList.add("active");
+  }
+  
+  // Update active nav buttons (both top and bottom)
+  document.querySelectorAll(".nav-btn, .nav-btn-bottom").forEach(b => {
+    b.classList.toggle("active", b.dataset.page === page);
+  });
+  
+  // Re-render calendar if on progress page
+  if (pageId === "progressPage") {
+    renderCalendar();
+  }
+  
+  // Stats are computed fresh each time the page opens
+  if (pageId === "stats") {
+    renderStats();
+  }
+  
+  if (pageId === "report") {
+    renderReport();
+  }
+  
+  if (pageId === "archive") {
+    renderArchive();
+  }
+  
+  if (pageId === "badges") {
+    renderBadges();
+  }
+  
+  // Show what's known right away, then fetch the latest
+  if (pageId === "team") {
+    renderTeamPage();
+    refreshTeam();
+  }
+  
+  // Start the habit editor from the saved habits
+  if (pageId === "settings") {
+    renderChallengeList();
+    renderHabitEditor();
+    renderScoringSettings();
+    renderStreakRules();
+    renderTargetSettings();
+    renderReminderSettings();
+    renderSyncSettings();
+    renderTeamSettings();
+  }
+  
+  // Scroll to top on mobile
+  if (window.innerWidth < 768) {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+}
+
+// ============================================
+// FEEDBACK MESSAGES - TOASTS & DIALOGS
+// ============================================
+
+// Native alert()/confirm() misbehave in iOS home-screen mode, so every message
+// goes through these in-app toasts and dialogs instead
+
+// How long toasts stay up (longer when they offer Undo)
+const TOAST_MS = 3000;
+const UNDO_TOAST_MS = 6000;
+
+// Dialogs waiting while another one is open, and the open one
+const modalQueue = [];
+let activeModal = null;
+
+// The toast whose Undo is still valid - only the latest change can be undone
+let undoToast = null;
+
+/**
+ * Show temporary feedback message
+ */
+function showFeedback(message) {
+  showToast(message);
+}
+
+/**
+ * Show a toast, optionally with an action button (e.g. Undo)
+ * options: { actionLabel, onAction, duration }
+ */
+function showToast(message, options = {}) {
+  const container = document.getElementById("toast-container");
+  if (!container) return null;
+  
+  const toast = document.createElement("div");
+  toast.className = "toast";
+  toast.setAttribute("role", "status");
+  
+  const text = document.createElement("span");
+  text.textContent = message;
+  toast.appendChild(text);
+  
+  if (options.actionLabel) {
+    const button = document.createElement("button");
+    button.className = "toast-action";
+    button.textContent = options.actionLabel;
+    button.onclick = () => {
+      dismissToast(toast);
+      options.onAction();
+    };
+    toast.appendChild(button);
+  }
+  
+  container.appendChild(toast);
+  setTimeout(() => dismissToast(toast), options.duration || TOAST_MS);
+  return toast;
+}
+
+/**
+ * Slide a toast out and remove it
+ */
+function dismissToast(toast) {
+  if (!toast.isConnected || toast.classList.contains("leaving")) return;
+  if (toast === undoToast) {
+    undoToast = null;
+  }
+  toast.classList.add("leaving");
+  setTimeout(() => toast.remove(), 300);
+}
+
+/**
+ * Show a dialog; resolves with the value of the button pressed
+ * buttons: [ { label, value, primary, danger, cancel } ] - Escape or a click outside
+ * picks the cancel button (or the only button)
+ * Dialogs opened while one is showing wait their turn
+ */
+function showModal(title, message, buttons) {
+  return new Promise(resolve => {
+    modalQueue.push({ title, message, buttons, resolve });
+    if (!activeModal) {
+      showNextModal();
+    }
+  });
+}
+
+/**
+ * Open the next waiting dialog, if any
+ */
+function showNextModal() {
+  activeModal = modalQueue.shift() || null;
+  const modal = document.getElementById("modal");
+  if (!activeModal || !modal) return;
+  
+  document.getElementById("modal-title").textContent = activeModal.title;
+  document.getElementById("modal-title").style.display = activeModal.title ? "" : "none";
+  document.getElementById("modal-message").textContent = activeModal.message;
+  document.getElementById("modal-actions").innerHTML = activeModal.buttons.map((button, index) => `
+    <button class="${button.primary ? "" : "secondary"} ${button.danger ? "danger" : ""}" onclick="closeModal(${index})">${escapeHtml(button.label)}</button>
+  `).join("");
+  
+  modal.hidden = false;
+  const primary = modal.querySelector("#modal-actions button:last-child");
+  if (primary) {
+    primary.focus();
+  }
+}
+
+/**
+ * Close the open dialog with the button at index (or its cancel button)
+ */
+function closeModal(index) {
+  if (!activeModal) return;
+  
+  const { buttons, resolve } = activeModal;
+  if (index === undefined) {
+    const cancelIndex = buttons.findIndex(button => button.cancel);
+    index = cancelIndex >= 0 ? cancelIndex : buttons.length - 1;
+  }
+  
+  document.getElementById("modal").hidden = true;
+  activeModal = null;
+  resolve(buttons[index].value);
+  showNextModal();
+}
+
+/**
+ * In-app replacement for alert(); resolves once dismissed
+ */
+function showAlert(message, title = "") {
+  return showModal(title, message, [{ label: "OK", value: true, primary: true }]);
+}
+
+/**
+ * In-app replacement for confirm(); resolves with true or false
+ * options: { title, confirmLabel, cancelLabel, danger }
+ */
+function showConfirm(message, options = {}) {
+  return showModal(options.title || "", message, [
+    { label: options.cancelLabel || "Cancel", value: false, cancel: true },
+    { label: options.confirmLabel || "OK", value: true, primary: true, danger: options.danger }
+  ]);
+}
+
+/**
+ * Close dialogs with Escape or a click outside the box
+ */
+function setupModal() {
+  const modal = document.getElementById("modal");
+  if (!modal) return;
+  
+  modal.addEventListener("click", event => {
+    if (event.target === modal) {
+      closeModal();
+    }
+  });
+  document.addEventListener("keydown", event => {
+    if (event.key === "Escape" && activeModal) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Copy of the current day's record to go back to with Undo
+ * Only that day is kept, so changes made elsewhere in the meantime (sync pulls,
+ * running timers, badges) survive the undo
+ */
+function takeUndoSnapshot() {
+  const challenge = getChallenge();
+  const dayData = challenge.days[challenge.currentDay];
+  return {
+    challengeId: challenge.id,
+    day: challenge.currentDay,
+    record: dayData ? JSON.stringify(dayData) : null
+  };
+}
+
+/**
+ * Toast with an Undo button that restores a snapshot
+ * Replaces any earlier Undo toast, as that change can no longer be undone on its own
+ */
+function showUndoToast(message, snapshot) {
+  if (undoToast) {
+    dismissToast(undoToast);
+  }
+  undoToast = showToast(message, {
+    actionLabel: "Undo",
+    duration: UNDO_TOAST_MS,
+    onAction: () => undoChange(snapshot)
+  });
+}
+
+/**
+ * Put the day record from the snapshot back and redraw everything
+ * The restored day is saved as a new change, so sync pushes it like any other edit
+ */
+function undoChange(snapshot) {
+  const challenge = appData.challenges.find(item => item.id === snapshot.challengeId);
+  if (!challenge) {
+    showFeedback("⚠️ That challenge no longer exists");
+    return;
+  }
+  
+  if (snapshot.record) {
+    challenge.days[snapshot.day] = JSON.parse(snapshot.record);
+  } else {
+    delete challenge.days[snapshot.day];
+  }
+  challenge.streak = calculateStreak(challenge);
+  
+  saveData();
+  refreshAllUI();
+  
+  showFeedback("↩️ Undone");
+}
+
+// Add animation styles
+const style = document.createElement('style');
+style.textContent = `
+  @keyframes slideIn {
+    from {
+      transform: translateX(100%);
+      opacity: 0;
+    }
+    to {
+      transform: translateX(0);
+      opacity: 1;
+    }
+  }
+  @keyframes slideOut {
+    from {
+      transform: translateX(0);
+      opacity: 1;
+    }
+    to {
+      transform: translateX(100%);
+      opacity: 0;
+    }
+  }
+`;
+document.head.appendChild(style);
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Initialize the application
+ * Picks a profile and loads its data (asynchronously), then sets up UI and renders calendar
+ */
+function init() {
+  selectStartupProfile().then(loadAppData).then(data => {
+    appData = data;
+    startApp();
+  }).catch(error => {
+    console.error("Error loading data:", error);
+    showAlert("Error loading app. Please refresh the page.");
+  });
+}
+
+/**
+ * Set up the UI once appData has been loaded
+ */
+function startApp() {
+  try {
+    // Ensure data structure is valid, repairing or setting aside malformed records
+    const setAsideBefore = Array.isArray(appData.quarantine) ? appData.quarantine.length : 0;
+    ensureDataShape();
+    const setAside = appData.quarantine.length - setAsideBefore;
+    if (setAside > 0) {
+      storageNotices.push(`${setAside} saved record${setAside === 1 ? "" : "s"} couldn't be repaired and ${setAside === 1 ? "was" : "were"} set aside. You can download ${setAside === 1 ? "it" : "them"} under Settings → Backup.`);
+    }
+    
+    // Move every challenge to today's day, recording any missed days
+    syncAllChallenges();
+    
+    // Update streak based on completed days
+    updateStreak();
+    
+    // Profile picker and leaderboard, kept up to date with other tabs
+    setupProfileWatch();
+    renderProfileSwitcher();
+    renderProfileSettings();
+    renderLeaderboard();
+    
+    // Challenge name, length and switcher
+    renderChallengeSwitcher();
+    renderChallengeList();
+    
+    // Build habit cards and settings from the habit definitions
+    renderHabitGrid();
+    renderHabitEditor();
+    renderScoringSettings();
+    renderStreakRules();
+    renderTargetSettings();
+    renderReminderSettings();
+    
+    // Load current day UI
+    loadCurrentDayUI();
+    
+    // Render calendar
+    renderCalendar();
+    
+    // Load motivation
+    loadMotivation();
+    
+    // Setup navigation and open the page in the URL
+    setupNavigation();
+    applyRoute();
+    
+    // Setup mobile input scrolling
+    setupMobileInputScrolling(document.getElementById("motivation"));
+    setupMobileInputScrolling(document.getElementById("journal-card"));
+    
+    // In-app dialogs close with Escape or a click outside
+    setupModal();
+    
+    // Pick up a new day if the app stays open past midnight
+    setupDayRollover();
+    
+    // Cache the app for offline use and watch for new versions
+    registerServiceWorker();
+    
+    // Keep in step with the sync server, if one is set up
+    setupSync();
+    renderSyncSettings();
+    
+    // Publish to and refresh the team group, if in one
+    setupTeam();
+    renderTeamSettings();
+    
+    // Save initial state
+    saveData();
+    
+    // Tell the user about saved data that had to be set aside
+    renderStorageStatus();
+    if (storageNotices.length > 0) {
+      showAlert(storageNotices.join("\n\n"), "⚠️ Saved data repaired");
+    }
+  } catch (error) {
+    console.error("Error initializing app:", error);
+    showAlert("Error loading app. Please refresh the page.");
+  }
+}
+
+// ============================================
+// STORAGE - INDEXEDDB
+// ============================================
+
+// Where saveData writes: 'indexeddb', or 'localstorage' where IndexedDB is unavailable
+let storageBackend = 'localstorage';
+let database = null;
+
+// JSON of every record as last written to IndexedDB, so a save only writes what changed
+const savedRecords = new Map();
+
+// IndexedDB writes run one after another in the order saveData was called
+let storageQueue = Promise.resolve();
+
+/**
+ * Load the active profile's appData from IndexedDB, or from localStorage where IndexedDB is unavailable
+ * The first time IndexedDB is used, data under the profile's localStorage key is moved
+ * over and the key removed
+ * Resolves with the data, migrated to SCHEMA_VERSION
+ */
+function loadAppData() {
+  return openDatabase().then(db => {
+    if (!db) {
+      storageBackend = 'localstorage';
+      return readLocalStorageData();
+    }
+    database = db;
+    storageBackend = 'indexeddb';
+    
+    return readDatabase().then(stored => {
+      if (stored) {
+        return migrateStoredData(stored);
+      }
+      
+      const data = readLocalStorageData();
+      if (localStorage.getItem(getProfileStorageKey(STORAGE_KEY)) === null) {
+        return data;
+      }
+      return writeStorageChanges(getStorageChanges(snapshotStorageRecords(data))).then(() => {
+        localStorage.removeItem(getProfileStorageKey(STORAGE_KEY));
+        return data;
+      });
+    });
+  });
+}
+
+/**
+ * Open (creating on first use) the active profile's database
+ * Resolves with null when IndexedDB is missing or refuses to open (e.g. some private modes)
+ */
+function openDatabase() {
+  return new Promise(resolve => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+    
+    let request;
+    try {
+      request = indexedDB.open(getProfileStorageKey(DB_NAME), DB_VERSION);
+    } catch (error) {
+      console.warn("IndexedDB unavailable, using localStorage:", error);
+      resolve(null);
+      return;
+    }
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("meta");
+      db.createObjectStore("days", { keyPath: ["challengeId", "day"] });
+      db.createObjectStore("backups");
+    };
+    request.onsuccess = () => {
+      // Let go when the profile is deleted from another tab
+      request.result.onversionchange = () => request.result.close();
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.warn("IndexedDB unavailable, using localStorage:", request.error);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * Read the meta record and every day record back into one appData object
+ * Resolves with null when nothing has been saved yet
+ */
+function readDatabase() {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(["meta", "days"], "readonly");
+    const metaRequest = transaction.objectStore("meta").get("app");
+    const daysRequest = transaction.objectStore("days").getAll();
+    
+    transaction.oncomplete = () => {
+      const data = metaRequest.result;
+      if (!data) {
+        resolve(null);
+        return;
+      }
+      savedRecords.clear();
+      savedRecords.set("app", JSON.stringify(data));
+      
+      const challenges = Array.isArray(data.challenges) ? data.challenges : [];
+      challenges.forEach(challenge => {
+        if (challenge && typeof challenge === 'object') {
+          challenge.days = {};
+        }
+      });
+      
+      daysRequest.result.forEach(entry => {
+        savedRecords.set(getDayRecordKey(entry.challengeId, entry.day), JSON.stringify(entry.record));
+        const challenge = challenges.find(candidate => candidate && candidate.id === entry.challengeId);
+        if (challenge) {
+          challenge.days[entry.day] = entry.record;
+        } else {
+          // Shouldn't happen, as days are written in the same transaction as their challenge
+          data.quarantine = Array.isArray(data.quarantine) ? data.quarantine : [];
+          data.quarantine.push({ challengeId: entry.challengeId, day: entry.day, reason: "Day of a challenge that no longer exists", at: new Date().toISOString(), record: entry.record });
+        }
+      });
+      resolve(data);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Bring data read from IndexedDB up to SCHEMA_VERSION, keeping a copy first
+ * Data that can't be migrated is set aside and the app starts fresh
+ */
+function migrateStoredData(data) {
+  const version = getSchemaVersion(data);
+  if (version >= SCHEMA_VERSION) {
+    return Promise.resolve(data);
+  }
+  
+  const saved = JSON.stringify(data);
+  return new Promise(resolve => {
+    const transaction = database.transaction("backups", "readwrite");
+    transaction.objectStore("backups").put(saved, version);
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => {
+      console.warn("Couldn't keep a copy before migrating:", transaction.error);
+      resolve();
+    };
+  }).then(() => {
+    try {
+      return migrateData(data);
+    } catch (error) {
+      console.error("Migration failed:", error);
+      setAsideCorruptData(saved, "Your saved data couldn't be upgraded to this version of the app.");
+      return createAppData();
+    }
+  });
+}
+
+/**
+ * Key of a day record in savedRecords
+ */
+function getDayRecordKey(challengeId, day) {
+  return JSON.stringify([challengeId, Number(day)]);
+}
+
+/**
+ * Every record of appData as JSON, keyed like savedRecords
+ * Taken when saveData is called, so later changes to appData can't leak into that save
+ */
+function snapshotStorageRecords(data) {
+  const records = new Map();
+  const meta = { ...data, challenges: data.challenges.map(challenge => ({ ...challenge, days: undefined })) };
+  records.set("app", { store: "meta", json: JSON.stringify(meta) });
+  
+  data.challenges.forEach(challenge => {
+    Object.keys(challenge.days).forEach(day => {
+      records.set(getDayRecordKey(challenge.id, day), {
+        store: "days",
+        challengeId: challenge.id,
+        day: Number(day),
+        json: JSON.stringify(challenge.days[day])
+      });
+    });
+  });
+  return records;
+}
+
+/**
+ * Work out which records of a snapshot differ from what was last written
+ * Called when the write's turn in the queue comes, so writes still in flight
+ * (e.g. a day that was added and then removed again) are taken into account
+ */
+function getStorageChanges(records) {
+  const changed = [];
+  records.forEach((record, key) => {
+    if (savedRecords.get(key) !== record.json) {
+      changed.push({ key, ...record });
+    }
+  });
+  const removed = Array.from(savedRecords.keys()).filter(key => !records.has(key));
+  
+  return { changed, removed };
+}
+
+/**
+ * Write changed records and delete removed ones in a single transaction
+ */
+function writeStorageChanges(changes) {
+  if (changes.changed.length === 0 && changes.removed.length === 0) {
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(["meta", "days"], "readwrite");
+    const metaStore = transaction.objectStore("meta");
+    const daysStore = transaction.objectStore("days");
+    
+    changes.changed.forEach(record => {
+      if (record.store === "meta") {
+        metaStore.put(JSON.parse(record.json), "app");
+      } else {
+        daysStore.put({ challengeId: record.challengeId, day: record.day, record: JSON.parse(record.json) });
+      }
+    });
+    changes.removed.forEach(key => daysStore.delete(JSON.parse(key)));
+    
+    transaction.oncomplete = () => {
+      changes.changed.forEach(record => savedRecords.set(record.key, record.json));
+      changes.removed.forEach(key => savedRecords.delete(key));
+      resolve();
+    };
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Save appData to the active backend
+ * IndexedDB writes are queued; records that fail to save are written again on the next save
+ */
+function persistAppData() {
+  if (storageBackend !== 'indexeddb') {
+    localStorage.setItem(getProfileStorageKey(STORAGE_KEY), JSON.stringify(appData));
+    return;
+  }
+  
+  const records = snapshotStorageRecords(appData);
+  storageQueue = storageQueue
+    .then(() => writeStorageChanges(getStorageChanges(records)))
+    .catch(error => console.error("Error saving data:", error));
+}
+
+// ============================================
+// STORAGE - SCHEMA & MIGRATIONS
+// ============================================
+
+/**
+ * Read appData from localStorage, migrating it to SCHEMA_VERSION
+ * The saved text is copied aside before any migration runs; data that can't be
+ * parsed or migrated is kept under CORRUPT_DATA_KEY and the app starts fresh
+ */
+function readLocalStorageData() {
+  const saved = localStorage.getItem(getProfileStorageKey(STORAGE_KEY));
+  if (!saved) {
+    return createAppData();
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(saved);
+  } catch (error) {
+    console.error("Saved data is not valid JSON:", error);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    setAsideCorruptData(saved, "Your saved data couldn't be read.");
+    return createAppData();
+  }
+  
+  const version = getSchemaVersion(data);
+  if (version < SCHEMA_VERSION) {
+    try {
+      localStorage.setItem(getProfileStorageKey(MIGRATION_BACKUP_KEY + version), saved);
+    } catch (error) {
+      // Out of space: migrate anyway rather than not start
+      console.warn("Couldn't keep a copy before migrating:", error);
+    }
+    
+    try {
+      migrateData(data);
+    } catch (error) {
+      console.error("Migration failed:", error);
+      setAsideCorruptData(saved, "Your saved data couldn't be upgraded to this version of the app.");
+      return createAppData();
+    }
+  }
+  
+  return data;
+}
+
+/**
+ * The schema version data was saved at (0 for data saved before versions existed)
+ */
+function getSchemaVersion(data) {
+  return Number.isInteger(data.schemaVersion) && data.schemaVersion >= 0 ? data.schemaVersion : 0;
+}
+
+/**
+ * Run every migration newer than the data's schema version, in order
+ * Returns the same object, changed in place
+ */
+function migrateData(data) {
+  const version = getSchemaVersion(data);
+  MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+    migration.migrate(data);
+    data.schemaVersion = migration.version;
+  });
+  return data;
+}
+
+/**
+ * Keep unreadable saved text so nothing is lost, and tell the user once the app starts
+ */
+function setAsideCorruptData(text, message) {
+  try {
+    localStorage.setItem(getProfileStorageKey(CORRUPT_DATA_KEY), text);
+    storageNotices.push(`${message} A copy was kept and can be downloaded under Settings → Backup.`);
+  } catch (error) {
+    console.error("Couldn't keep a copy of the unreadable data:", error);
+    storageNotices.push(`${message} The app has started over.`);
+  }
+}
+
+/**
+ * Migration 2: store the targets each existing day was judged against
+ * Days saved before snapshots existed were judged against the habits as they are now
+ */
+function snapshotLegacyDayRules(data) {
+  (Array.isArray(data.challenges) ? data.challenges : []).forEach(challenge => {
+    if (!challenge || !challenge.days || typeof challenge.days !== 'object') return;
+    const habits = Array.isArray(challenge.habits) ? challenge.habits : DEFAULT_HABITS;
+    
+    Object.values(challenge.days).forEach(dayData => {
+      if (dayData && typeof dayData === 'object' && !dayData.rules) {
+        dayData.rules = {};
+        habits.forEach(habit => {
+          if (habit && habit.id) {
+            dayData.rules[habit.id] = { type: habit.type, min: habit.min, max: habit.max };
+          }
+        });
+      }
+    });
+  });
+  return data;
+}
+
+/**
+ * Move a record that can't be repaired out of the way, keeping it for download
+ */
+function quarantineRecord(challengeId, day, record, reason) {
+  appData.quarantine.push({ challengeId, day, reason, at: new Date().toISOString(), record });
+}
+
+/**
+ * Check every day record of a challenge (or past run), repairing what can be repaired
+ * Records that aren't objects or sit outside the challenge are quarantined
+ */
+function repairChallengeDays(challenge) {
+  Object.keys(challenge.days).forEach(day => {
+    const dayNum = Number(day);
+    const dayData = challenge.days[day];
+    
+    let reason = null;
+    if (!dayData || typeof dayData !== 'object' || Array.isArray(dayData)) {
+      reason = "Not a day record";
+    } else if (!Number.isInteger(dayNum) || dayNum < 1 || dayNum > challenge.length) {
+      reason = `Day ${day} is outside the ${challenge.length}-day challenge`;
+    }
+    
+    if (reason) {
+      quarantineRecord(challenge.id, day, dayData, reason);
+      delete challenge.days[day];
+    } else {
+      repairDayRecord(dayData, dayNum, challenge);
+    }
+  });
+}
+
+/**
+ * Fix fields of a day record that have the wrong type, in place
+ */
+function repairDayRecord(dayData, day, challenge) {
+  if (typeof dayData.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dayData.date)) {
+    dayData.date = getDateForDay(day, challenge);
+  }
+  if (!dayData.completedHabits || typeof dayData.completedHabits !== 'object') {
+    dayData.completedHabits = {};
+  }
+  
+  challenge.habits.forEach(habit => {
+    const value = dayData[habit.id];
+    if (value !== null && value !== undefined && typeof value !== 'number') {
+      // Numbers saved as text are kept, anything else is dropped
+      const number = Number(value);
+      dayData[habit.id] = typeof value === 'string' && value.trim() !== '' && isFinite(number) && number >= 0 ? number : null;
+    } else if (typeof value === 'number' && (!isFinite(value) || value < 0)) {
+      dayData[habit.id] = null;
+    }
+    if (typeof dayData.completedHabits[habit.id] !== 'boolean') {
+      dayData.completedHabits[habit.id] = Boolean(dayData.completedHabits[habit.id]);
+    }
+  });
+  
+  ['completed', 'missed', 'frozen'].forEach(key => {
+    if (dayData[key] !== undefined && typeof dayData[key] !== 'boolean') {
+      dayData[key] = Boolean(dayData[key]);
+    }
+  });
+  if (typeof dayData.score !== 'number' || !isFinite(dayData.score)) {
+    dayData.score = dayData.completed ? MAX_SCORE : 0;
+  }
+  
+  // Optional fields are dropped when unreadable
+  if (dayData.journal !== undefined && typeof dayData.journal !== 'string') {
+    delete dayData.journal;
+  }
+  ['mood', 'energy'].forEach(key => {
+    if (dayData[key] !== undefined && !(Number.isInteger(dayData[key]) && dayData[key] >= 1 && dayData[key] <= 5)) {
+      delete dayData[key];
+    }
+  });
+  ['rules', 'entries'].forEach(key => {
+    if (dayData[key] !== undefined && (!dayData[key] || typeof dayData[key] !== 'object' || Array.isArray(dayData[key]))) {
+      delete dayData[key];
+    }
+  });
+  if (dayData.history !== undefined && !Array.isArray(dayData.history)) {
+    delete dayData.history;
+  }
+}
+
+/**
+ * Show the Data Repair part of the Backup card when anything was set aside
+ */
+function renderStorageStatus() {
+  const statusElement = document.getElementById("storage-status");
+  if (!statusElement) return;
+  
+  const hasCorruptData = localStorage.getItem(getProfileStorageKey(CORRUPT_DATA_KEY)) !== null;
+  const count = appData.quarantine.length;
+  if (!hasCorruptData && count === 0) {
+    statusElement.style.display = "none";
+    return;
+  }
+  
+  const parts = [];
+  if (count > 0) {
+    parts.push(`${count} record${count === 1 ? "" : "s"} couldn't be repaired and ${count === 1 ? "was" : "were"} set aside`);
+  }
+  if (hasCorruptData) {
+    parts.push("a copy of unreadable saved data was kept");
+  }
+  document.getElementById("storage-status-text").innerText = `⚠️ ${parts.join(", and ")}.`;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Download everything that was set aside as JSON
+ */
+function downloadSetAsideData() {
+  const setAside = {
+    exportedAt: new Date().toISOString(),
+    quarantine: appData.quarantine,
+    corruptData: localStorage.getItem(getProfileStorageKey(CORRUPT_DATA_KEY))
+  };
+  downloadFile(`better-me-set-aside-${toDateKey(new Date())}.json`, JSON.stringify(setAside, null, 2), "application/json");
+}
+
+/**
+ * Delete everything that was set aside (after confirmation)
+ */
+function discardSetAsideData() {
+  showConfirm("Download them first if you might need them.", {
+    title: "Delete the set-aside records for good?",
+    confirmLabel: "Delete",
+    danger: true
+  }).then(confirmed => {
+    if (!confirmed) return;
+    appData.quarantine = [];
+    localStorage.removeItem(getProfileStorageKey(CORRUPT_DATA_KEY));
+    saveData();
+    renderStorageStatus();
+    showFeedback("Set-aside data deleted");
+  });
+}
+
+/**
+ * Migration 1: convert data saved before multiple challenges existed
+ * The flat startDate/currentDay/streak/days/habits/scoring fields become one challenge
+ * Returns the same object, changed in place
+ */
+function upgradeLegacyData(data) {
+  if (!Array.isArray(data.challenges)) {
+    const challenge = createChallenge("100 Days Better Me", DEFAULT_CHALLENGE_DAYS, LEGACY_CHALLENGE_ID, data.habits);
+    ['currentDay', 'streak', 'days', 'scoring'].forEach(key => {
+      if (data[key] !== undefined) {
+        challenge[key] = data[key];
+      }
+    });
+    // Undated data gets its start date from the current day in ensureChallengeShape
+    challenge.startDate = data.startDate;
+    
+    ['startDate', 'currentDay', 'streak', 'days', 'habits', 'scoring'].forEach(key => delete data[key]);
+    data.challenges = [challenge];
+    data.activeChallengeId = LEGACY_CHALLENGE_ID;
+  }
+  
+  // Past runs archived before challenges had a length were 100 days
+  (Array.isArray(data.archive) ? data.archive : []).forEach(run => {
+    if (run && !run.length) {
+      run.length = DEFAULT_CHALLENGE_DAYS;
+    }
+  });
+  
+  return data;
+}
+
+/**
+ * Fill in missing or invalid fields of appData and each challenge
+ * Used on load and after importing a backup
+ */
+function ensureDataShape() {
+  if (!Array.isArray(appData.quarantine)) {
+    appData.quarantine = [];
+  }
+  if (!Array.isArray(appData.challenges)) {
+    appData.challenges = [];
+  }
+  
+  appData.challenges = appData.challenges.filter(challenge => {
+    if (challenge && typeof challenge === 'object' && !Array.isArray(challenge)) {
+      return true;
+    }
+    quarantineRecord(null, null, challenge, "Not a challenge");
+    return false;
+  });
+  if (appData.challenges.length === 0) {
+    appData.challenges.push(createChallenge("100 Days Better Me", DEFAULT_CHALLENGE_DAYS, LEGACY_CHALLENGE_ID));
+  }
+  appData.challenges.forEach(ensureChallengeShape);
+  
+  if (!appData.challenges.some(challenge => challenge.id === appData.activeChallengeId)) {
+    appData.activeChallengeId = appData.challenges[0].id;
+  }
+  if (typeof appData.whyStarted !== 'string') {
+    appData.whyStarted = "";
+  }
+  if (!Array.isArray(appData.archive)) {
+    appData.archive = [];
+  }
+  appData.archive = appData.archive.filter(run => {
+    if (isValidArchivedRun(run)) {
+      return true;
+    }
+    quarantineRecord(null, null, run, "Not a past challenge");
+    return false;
+  });
+  appData.archive.forEach(repairChallengeDays);
+  if (!appData.reminders || typeof appData.reminders !== 'object') {
+    appData.reminders = { enabled: false, streakWarning: DEFAULT_STREAK_WARNING };
+  }
+  if (!appData.achievements || typeof appData.achievements !== 'object') {
+    appData.achievements = {};
+  }
+  if (!appData.sync || typeof appData.sync !== 'object') {
+    appData.sync = { enabled: false, endpoint: "", token: "", cursor: 0, pending: [] };
+  }
+  if (!Array.isArray(appData.sync.pending)) {
+    appData.sync.pending = [];
+  }
+  if (typeof appData.sync.cursor !== 'number') {
+    appData.sync.cursor = 0;
+  }
+  if (!appData.team || typeof appData.team !== 'object') {
+    appData.team = createTeamSettings();
+  }
+  appData.schemaVersion = Math.max(getSchemaVersion(appData), SCHEMA_VERSION);
+}
+
+/**
+ * Fill in missing or invalid fields of a single challenge
+ */
+function ensureChallengeShape(challenge) {
+  if (typeof challenge.id !== 'string' || !ID_PATTERN.test(challenge.id)) {
+    challenge.id = generateChallengeId();
+  }
+  if (typeof challenge.name !== 'string' || !challenge.name.trim()) {
+    challenge.name = `${challenge.length || DEFAULT_CHALLENGE_DAYS} Days Better Me`;
+  }
+  if (!Number.isInteger(challenge.length) || challenge.length < 1 || challenge.length > MAX_CHALLENGE_DAYS) {
+    challenge.length = DEFAULT_CHALLENGE_DAYS;
+  }
+  if (!challenge.days || typeof challenge.days !== 'object' || Array.isArray(challenge.days)) {
+    if (challenge.days) {
+      quarantineRecord(challenge.id, null, challenge.days, "Day records in an unknown layout");
+    }
+    challenge.days = {};
+  }
+  if (typeof challenge.currentDay !== 'number' || challenge.currentDay < 1) {
+    challenge.currentDay = 1;
+  }
+  if (typeof challenge.streak !== 'number' || challenge.streak < 0) {
+    challenge.streak = 0;
+  }
+  if (typeof challenge.startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(challenge.startDate)) {
+    // Older data has no dates: assume the current day is today
+    challenge.startDate = addDays(toDateKey(new Date()), -(challenge.currentDay - 1));
+  }
+  if (Array.isArray(challenge.habits)) {
+    challenge.habits = challenge.habits.filter(isValidHabit);
+    challenge.habits.forEach(repairHabitFields);
+  }
+  if (!Array.isArray(challenge.habits) || challenge.habits.length === 0) {
+    challenge.habits = cloneDefaultHabits();
+  }
+  if (!challenge.scoring || !SCORING_MODES[challenge.scoring.mode]) {
+    challenge.scoring = { mode: 'strict' };
+  }
+  if (!challenge.timers || typeof challenge.timers !== 'object') {
+    challenge.timers = {};
+  }
+  if (!challenge.rules || typeof challenge.rules !== 'object') {
+    challenge.rules = cloneStreakRules(DEFAULT_STREAK_RULES);
+  }
+  const rules = challenge.rules;
+  if (!Number.isInteger(rules.freezeEvery) || rules.freezeEvery < 0) {
+    rules.freezeEvery = DEFAULT_STREAK_RULES.freezeEvery;
+  }
+  if (!Number.isInteger(rules.maxFreezes) || rules.maxFreezes < 0) {
+    rules.maxFreezes = DEFAULT_STREAK_RULES.maxFreezes;
+  }
+  if (!Array.isArray(rules.restWeekdays)) {
+    rules.restWeekdays = [];
+  }
+  if (!Array.isArray(rules.restHabits)) {
+    rules.restHabits = [];
+  }
+  if (typeof challenge.freezes !== 'number') {
+    challenge.freezes = 0;
+  }
+  if (!Array.isArray(challenge.ruleChanges)) {
+    challenge.ruleChanges = [];
+  }
+  challenge.ruleChanges = challenge.ruleChanges.filter(change => {
+    return change && typeof change.id === 'string' && ID_PATTERN.test(change.id) && Number.isInteger(change.fromDay);
+  });
+  if (!Array.isArray(challenge.overloadPlans)) {
+    challenge.overloadPlans = [];
+  }
+  challenge.overloadPlans = challenge.overloadPlans.filter(plan => {
+    return plan && typeof plan.id === 'string' && ID_PATTERN.test(plan.id) && Number.isInteger(plan.fromDay) &&
+      Number.isInteger(plan.everyDays) && plan.everyDays > 0 && Number.isFinite(plan.amount);
+  });
+  
+  repairChallengeDays(challenge);
+  
+  // Habits saved before log modes existed use the default habit's mode
+  challenge.habits.forEach(habit => {
+    if (!LOG_MODES[habit.logMode]) {
+      const defaultHabit = DEFAULT_HABITS.find(candidate => candidate.id === habit.id);
+      habit.logMode = defaultHabit ? defaultHabit.logMode : 'input';
+    }
+  });
+}
+
+/**
+ * Bring every challenge up to today's date and recount its streak
+ */
+function syncAllChallenges() {
+  appData.challenges.forEach(challenge => {
+    syncCurrentDayWithCalendar(challenge);
+    challenge.streak = calculateStreak(challenge);
+  });
+}
+
+/**
+ * Redraw every view from appData (after data is replaced wholesale)
+ */
+function refreshAllUI() {
+  renderChallengeSwitcher();
+  renderChallengeList();
+  renderHabitGrid();
+  renderHabitEditor();
+  renderScoringSettings();
+  renderStreakRules();
+  renderTargetSettings();
+  renderReminderSettings();
+  renderStorageStatus();
+  renderSyncSettings();
+  renderSyncStatus();
+  renderTeamSettings();
+  loadCurrentDayUI();
+  renderCalendar();
+  
+  // An open day stays open (e.g. through a background sync) as long as it still exists
+  const route = parseRoute(location.hash);
+  const challenge = getChallenge();
+  const dayExists = route && route.day >= 1 && route.day <= challenge.length &&
+    (!route.challengeId || route.challengeId === challenge.id);
+  if (!dayExists) {
+    closeDayDetails();
+    if (route && route.day) {
+      history.replaceState(null, "", "#/progress");
+    }
+  } else if (!document.getElementById("edit-reason")) {
+    // Redrawn with the new data, unless a correction is being typed in
+    showDayDetails(route.day);
+  }
+  loadMotivation();
+  renderArchive();
+  renderBadges();
+}
+
+/**
+ * Check for a date change when the app comes back into view and once a minute
+ */
+function setupDayRollover() {
+  const checkForNewDay = () => {
+    const previousDay = getChallenge().currentDay;
+    const changed = appData.challenges.filter(challenge => syncCurrentDayWithCalendar(challenge));
+    if (changed.length === 0) return;
+    
+    // Saved even when the day number stays (e.g. a past day was only just marked missed)
+    syncAllChallenges();
+    saveData();
+    loadCurrentDayUI();
+    renderCalendar();
+    renderChallengeList();
+    if (getChallenge().currentDay !== previousDay) {
+      showFeedback(`📅 A new day has started - Day ${getChallenge().currentDay}`);
+    }
+  };
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      checkForNewDay();
+    }
+  });
+  setInterval(() => {
+    checkForNewDay();
+    checkReminders();
+  }, 60000);
+}
+
+/**
+ * Setup mobile input scrolling - ensures inputs scroll into view when focused
+ * Pass a container to only wire up inputs rendered inside it
+ */
+function setupMobileInputScrolling(root = document) {
+  const inputs = root.querySelectorAll('input, textarea, select');
+  
+  inputs.forEach(input => {
+    input.addEventListener('focus', function() {
+      // Small delay to ensure keyboard is shown
+      setTimeout(() => {
+        this.scrollIntoView({ 
+          behavior: 'smooth', 
+          block: 'center',
+          inline: 'nearest'
+        });
+      }, 300);
+    });
+  });
+}
+
+// ============================================
+// OFFLINE - SERVICE WORKER
+// ============================================
+
+// Installed worker waiting to replace the current one
+let waitingWorker = null;
+
+/**
+ * Register sw.js and offer an update whenever a new version has been cached
+ * Skipped where service workers are unavailable (e.g. opened from file://)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  
+  navigator.serviceWorker.register('sw.js').then(registration => {
+    // A new version was cached on an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdateBanner(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // The first install has nothing to replace, so only prompt for updates
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdateBanner(worker);
+        }
+      });
+    });
+    
+    // Look for a new version when the app comes back into view
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {});
+      }
+    });
+    
+    // The worker needs today's reminder schedule before it can notify
+    sendReminderSchedule();
+    if (appData.reminders.enabled) {
+      registerReminderSync(registration);
+    }
+  }).catch(error => {
+    console.error("Service worker registration failed:", error);
+  });
+  
+  // Reload once the new version has taken over
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+/**
+ * Show the "new version available" banner
+ */
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  const banner = document.getElementById("update-banner");
+  if (banner) {
+    banner.style.display = "flex";
+  }
+}
+
+/**
+ * Switch to the waiting version; the page reloads when it takes over
+ * Only runs when the user taps Update, so unsaved habit values aren't lost by surprise
+ */
+function applyUpdate() {
+  if (!waitingWorker) return;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Hide the update banner until the next visit
+ */
+function dismissUpdate() {
+  const banner = document.getElementById("update-banner");
+  if (banner) {
+    banner.style.display = "none";
+  }
+}
+
+// ============================================
+// REMINDERS - NOTIFICATIONS
+// ============================================
+
+// How many days ahead reminders are scheduled, for when the app stays closed
+const REMINDER_DAYS_AHEAD = 7;
+
+/**
+ * Check "HH:MM" times entered in the reminder settings
+ */
+function isValidReminderTime(time) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+/**
+ * Timestamp of a "HH:MM" time on a given date
+ */
+function getReminderTimestamp(dateKey, time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = parseDateKey(dateKey);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Every notification due over the next few days, for all running challenges
+ * Habit reminders list the habits that are still missing on that day;
+ * the streak warning is only added while the day isn't completed
+ * Entries: { tag, at, until, title, body }
+ */
+function buildReminderSchedule() {
+  const schedule = [];
+  const today = toDateKey(new Date());
+  const warningTime = appData.reminders.streakWarning;
+  
+  appData.challenges.forEach(challenge => {
+    for (let offset = 0; offset < REMINDER_DAYS_AHEAD; offset++) {
+      const dateKey = addDays(today, offset);
+      const day = daysBetween(challenge.startDate, dateKey) + 1;
+      if (day < 1 || day > challenge.length) continue;
+      
+      const dayData = challenge.days[day];
+      if (dayData && (dayData.completed || dayData.missed)) continue;
+      
+      const missing = challenge.habits.filter(habit => !(dayData && dayData.completedHabits[habit.id]));
+      const missingLabels = missing.map(habit => habit.label).join(", ");
+      const until = getReminderTimestamp(addDays(dateKey, 1), "00:00");
+      const prefix = appData.challenges.length > 1 ? `${challenge.name} · ` : "";
+      
+      // One notification per distinct reminder time of a missing habit
+      const times = [...new Set(missing.map(habit => habit.reminder).filter(Boolean))];
+      times.forEach(time => {
+        schedule.push({
+          tag: `habits-${challenge.id}-${dateKey}-${time}`,
+          at: getReminderTimestamp(dateKey, time),
+          until,
+          title: `${prefix}Day ${day}: time to log your habits`,
+          body: `Still missing: ${missingLabels}`
+        });
+      });
+      
+      if (warningTime) {
+        // Future days can't know the streak yet, so they get a general warning
+        const streak = offset === 0 ? challenge.streak : 0;
+        schedule.push({
+          tag: `streak-${challenge.id}-${dateKey}`,
+          at: getReminderTimestamp(dateKey, warningTime),
+          until,
+          title: streak > 0
+            ? `${prefix}You're about to lose your ${streak} day streak 🔥`
+            : `${prefix}Day ${day} isn't complete yet`,
+          body: `Complete today's habits before midnight. Still missing: ${missingLabels}`
+        });
+      }
+    }
+  });
+  
+  return schedule;
+}
+
+/**
+ * Hand the current schedule to the service worker (an empty one while reminders are off)
+ */
+function sendReminderSchedule() {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  
+  const enabled = appData.reminders && appData.reminders.enabled;
+  navigator.serviceWorker.controller.postMessage({
+    type: 'REMINDER_SCHEDULE',
+    schedule: enabled ? buildReminderSchedule() : []
+  });
+}
+
+/**
+ * Ask the service worker to show any reminders that are due now
+ */
+function checkReminders() {
+  if (!appData.reminders.enabled) return;
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  
+  navigator.serviceWorker.controller.postMessage({ type: 'CHECK_REMINDERS' });
+}
+
+/**
+ * Let the browser wake the service worker to check reminders while the app is closed
+ * Periodic background sync is only available in some browsers (mostly installed apps)
+ */
+function registerReminderSync(registration) {
+  if (!registration.periodicSync) return;
+  
+  registration.periodicSync.register('reminder-check', { minInterval: 15 * 60 * 1000 }).catch(() => {
+    // Not allowed (e.g. app not installed) - reminders still work while the app is open
+  });
+}
+
+/**
+ * Fill the Reminders card: status, one time per habit and the streak warning time
+ */
+function renderReminderSettings() {
+  const timesElement = document.getElementById("reminder-times");
+  if (!timesElement) return;
+  
+  timesElement.innerHTML = getHabits().map(habit => `
+    <div class="weight-row">
+      <label for="reminder-${habit.id}">${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label)}</label>
+      <input type="time" id="reminder-${habit.id}" data-habit="${habit.id}" value="${escapeHtml(habit.reminder || "")}">
+    </div>
+  `).join("");
+  
+  const warningElement = document.getElementById("reminder-streak-warning");
+  if (warningElement) {
+    warningElement.value = appData.reminders.streakWarning || "";
+  }
+  
+  const statusElement = document.getElementById("reminder-status");
+  const toggleElement = document.getElementById("reminder-toggle");
+  const supported = 'Notification' in window && 'serviceWorker' in navigator;
+  
+  if (statusElement) {
+    if (!supported) {
+      statusElement.innerText = "This browser can't show notifications.";
+    } else if (Notification.permission === 'denied') {
+      statusElement.innerText = "Notifications are blocked. Allow them in your browser settings to get reminders.";
+    } else {
+      statusElement.innerText = appData.reminders.enabled ? "Reminders are on." : "Reminders are off.";
+    }
+  }
+  if (toggleElement) {
+    toggleElement.innerText = appData.reminders.enabled ? "Turn Off Reminders" : "🔔 Turn On Reminders";
+    toggleElement.disabled = !supported;
+  }
+}
+
+/**
+ * Turn reminders on (asking for notification permission) or off
+ */
+function toggleReminders() {
+  if (appData.reminders.enabled) {
+    appData.reminders.enabled = false;
+    saveData();
+    renderReminderSettings();
+    showFeedback("🔕 Reminders turned off");
+    return;
+  }
+  
+  if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+    showAlert("This browser can't show notifications.");
+    return;
+  }
+  
+  Notification.requestPermission().then(permission => {
+    if (permission !== 'granted') {
+      renderReminderSettings();
+      showAlert("Notifications weren't allowed, so reminders can't be shown.");
+      return;
+    }
+    
+    appData.reminders.enabled = true;
+    saveData();
+    navigator.serviceWorker.ready.then(registerReminderSync);
+    renderReminderSettings();
+    showFeedback("🔔 Reminders turned on");
+  });
+}
+
+/**
+ * Save the reminder times from the Reminders card
+ */
+function saveReminderSettings() {
+  const times = {};
+  let invalid = false;
+  
+  document.querySelectorAll("#reminder-times input[data-habit]").forEach(input => {
+    const time = input.value.trim();
+    if (time && !isValidReminderTime(time)) {
+      invalid = true;
+    }
+    times[input.dataset.habit] = time || null;
+  });
+  
+  const warningElement = document.getElementById("reminder-streak-warning");
+  const warningTime = warningElement ? warningElement.value.trim() : "";
+  if (invalid || (warningTime && !isValidReminderTime(warningTime))) {
+    showAlert("Reminder times must look like 08:30!");
+    return;
+  }
+  
+  getHabits().forEach(habit => {
+    if (times[habit.id] !== undefined) {
+      habit.reminder = times[habit.id];
+    }
+  });
+  appData.reminders.streakWarning = warningTime || null;
+  
+  saveData();
+  showFeedback("Reminders saved!");
+}
+
+// ============================================
+// SYNC - SELF-HOSTED SERVER
+// ============================================
+
+// JSON of every synced record as last seen, so saves can tell what changed
+// (keys: "app", "challenge:<id>", "day:<challengeId>:<day>")
+const syncBaseline = new Map();
+
+// idle | syncing | offline | error
+let syncState = 'idle';
+let syncError = "";
+let lastSyncedAt = null;
+let syncInFlight = false;
+let syncDebounce = null;
+
+/**
+ * Every record that is synced, keyed as in syncBaseline
+ * target is the object whose updatedAt is stamped, value what is sent to the server
+ * Values leave out what each device works out for itself (current day, streak,
+ * freezes) and per-device settings (active challenge, reminders, sync settings)
+ */
+function collectSyncRecords(data) {
+  const records = new Map();
+  records.set("app", {
+    target: data,
+    value: { whyStarted: data.whyStarted, achievements: data.achievements, archive: data.archive }
+  });
+  
+  data.challenges.forEach(challenge => {
+    const { days, currentDay, streak, freezes, updatedAt, ...settings } = challenge;
+    records.set(`challenge:${challenge.id}`, { target: challenge, value: settings });
+    
+    Object.keys(days).forEach(day => {
+      const { updatedAt: dayUpdatedAt, ...record } = days[day];
+      records.set(`day:${challenge.id}:${day}`, { target: days[day], value: record });
+    });
+  });
+  
+  return records;
+}
+
+/**
+ * Whether the user logged anything on a day
+ * Days the app filled in by itself (e.g. missed days) are never pushed, so they can't
+ * overwrite a day logged on another device
+ */
+function hasDayContent(dayData) {
+  const loggedHabit = Object.keys(dayData).some(key => {
+    return !RESERVED_DAY_KEYS.includes(key) && dayData[key] !== null && dayData[key] !== undefined;
+  });
+  return loggedHabit || Boolean(dayData.journal || dayData.mood || dayData.energy || dayData.history || dayData.entries);
+}
+
+/**
+ * Take the current records as already synced (after loading or applying server changes)
+ */
+function resetSyncBaseline() {
+  syncBaseline.clear();
+  collectSyncRecords(appData).forEach((record, key) => {
+    syncBaseline.set(key, JSON.stringify(record.value));
+  });
+}
+
+/**
+ * Stamp records changed since the last save with updatedAt and queue them for the server
+ * Returns true if anything new was queued
+ */
+function trackSyncChanges() {
+  if (!appData.sync.enabled) return false;
+  
+  const now = Date.now();
+  const pending = new Set(appData.sync.pending);
+  const records = collectSyncRecords(appData);
+  let queued = false;
+  
+  records.forEach((record, key) => {
+    const json = JSON.stringify(record.value);
+    if (syncBaseline.get(key) === json) return;
+    
+    const isNewDay = key.startsWith("day:") && !syncBaseline.has(key);
+    syncBaseline.set(key, json);
+    if (isNewDay && !hasDayContent(record.target)) return;
+    
+    record.target.updatedAt = now;
+    pending.add(key);
+    queued = true;
+  });
+  
+  // Removed challenges and days are sent as deletions
+  Array.from(syncBaseline.keys()).filter(key => !records.has(key)).forEach(key => {
+    syncBaseline.delete(key);
+    pending.add(key);
+    queued = true;
+  });
+  
+  appData.sync.pending = Array.from(pending);
+  return queued;
+}
+
+/**
+ * Push soon after a change, so a burst of edits goes out as one request
+ */
+function scheduleSync() {
+  clearTimeout(syncDebounce);
+  syncDebounce = setTimeout(syncNow, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Call the sync server; rejects with a TypeError when it can't be reached
+ */
+function syncRequest(method, query, body) {
+  const headers = { "Content-Type": "application/json" };
+  if (appData.sync.token) {
+    headers.Authorization = `Bearer ${appData.sync.token}`;
+  }
+  
+  const url = appData.sync.endpoint.replace(/\/+$/, "") + "/changes" + query;
+  return fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined }).then(response => {
+    if (!response.ok) {
+      throw new Error(response.status === 401 ? "The server didn't accept the access token." : `The server answered ${response.status}.`);
+    }
+    return response.json();
+  });
+}
+
+/**
+ * Send every queued record (or a deletion, if it no longer exists here)
+ * Keys changed again while the request was out stay queued
+ */
+function pushChanges() {
+  const keys = appData.sync.pending.slice();
+  if (keys.length === 0) {
+    return Promise.resolve();
+  }
+  
+  const records = collectSyncRecords(appData);
+  const sent = keys.map(key => {
+    const record = records.get(key);
+    if (!record) {
+      return { key, updatedAt: Date.now(), deleted: true };
+    }
+    return { key, updatedAt: record.target.updatedAt || Date.now(), value: record.value };
+  });
+  
+  return syncRequest("POST", "", { records: sent }).then(() => {
+    const current = collectSyncRecords(appData);
+    appData.sync.pending = appData.sync.pending.filter(key => {
+      const record = sent.find(candidate => candidate.key === key);
+      if (!record) return true;
+      const now = current.get(key);
+      return record.deleted ? Boolean(now) : !now || now.target.updatedAt !== record.updatedAt;
+    });
+  });
+}
+
+/**
+ * Fetch records changed on the server since the last pull and apply the newer ones
+ */
+function pullChanges() {
+  return syncRequest("GET", `?since=${appData.sync.cursor}`).then(response => {
+    if (Array.isArray(response.records) && response.records.length > 0) {
+      applyRemoteRecords(response.records);
+    }
+    if (typeof response.cursor === 'number') {
+      appData.sync.cursor = response.cursor;
+    }
+  });
+}
+
+/**
+ * Apply server records that are newer than ours (last write wins, per record, by the
+ * updatedAt of the device that wrote it - so device clocks that are far off can lose edits)
+ * The app record and challenges go first so incoming days have a challenge to go into
+ */
+function applyRemoteRecords(records) {
+  // Anything changed here but not saved yet must not be mistaken for a server change
+  trackSyncChanges();
+  
+  const order = key => key === "app" ? 0 : key.startsWith("challenge:") ? 1 : 2;
+  const local = collectSyncRecords(appData);
+  let applied = 0;
+  
+  records.slice().sort((a, b) => order(a.key) - order(b.key)).forEach(record => {
+    const ours = local.get(record.key);
+    if (ours && (ours.target.updatedAt || 0) >= record.updatedAt) return;
+    
+    if (record.key === "app") {
+      if (record.deleted) return;
+      Object.assign(appData, readRemoteAppRecord(record.value), { updatedAt: record.updatedAt });
+    } else if (record.key.startsWith("challenge:")) {
+      const id = record.key.slice("challenge:".length);
+      const challenge = appData.challenges.find(candidate => candidate.id === id);
+      if (record.deleted) {
+        appData.challenges = appData.challenges.filter(candidate => candidate.id !== id);
+      } else if (challenge) {
+        Object.assign(challenge, record.value, { id, updatedAt: record.updatedAt });
+      } else {
+        appData.challenges.push({ ...record.value, id, days: {}, updatedAt: record.updatedAt });
+      }
+    } else {
+      const rest = record.key.slice("day:".length);
+      const id = rest.slice(0, rest.lastIndexOf(":"));
+      const day = Number(rest.slice(rest.lastIndexOf(":") + 1));
+      const challenge = appData.challenges.find(candidate => candidate.id === id);
+      if (!challenge) return;
+      if (record.deleted) {
+        delete challenge.days[day];
+      } else {
+        challenge.days[day] = { ...record.value, updatedAt: record.updatedAt };
+      }
+    }
+    
+    appData.sync.pending = appData.sync.pending.filter(key => key !== record.key);
+    applied++;
+  });
+  
+  if (applied === 0) return;
+  
+  ensureDataShape();
+  syncAllChallenges();
+  resetSyncBaseline();
+  refreshAllUI();
+}
+
+/**
+ * The fields of a synced app record that pass the checks a backup gets
+ * Anything else the server sends is left out, so it never reaches appData
+ */
+function readRemoteAppRecord(value) {
+  const fields = {};
+  if (!value || typeof value !== 'object') return fields;
+  
+  if (typeof value.whyStarted === 'string') {
+    fields.whyStarted = value.whyStarted;
+  }
+  if (value.achievements && typeof value.achievements === 'object' && !Array.isArray(value.achievements)) {
+    fields.achievements = {};
+    ACHIEVEMENTS.forEach(achievement => {
+      const unlockedAt = value.achievements[achievement.id];
+      if (typeof unlockedAt === 'string' && !isNaN(Date.parse(unlockedAt))) {
+        fields.achievements[achievement.id] = unlockedAt;
+      }
+    });
+  }
+  if (Array.isArray(value.archive)) {
+    fields.archive = value.archive.filter(isValidArchivedRun);
+  }
+  return fields;
+}
+
+/**
+ * Push queued changes, then pull the server's
+ * Failures leave the queue as it is for the next attempt
+ */
+function syncNow() {
+  return runSync(() => pushChanges().then(pullChanges));
+}
+
+/**
+ * Run one sync and keep the status indicator up to date
+ */
+function runSync(steps) {
+  if (!appData.sync.enabled || syncInFlight) {
+    return Promise.resolve();
+  }
+  
+  clearTimeout(syncDebounce);
+  syncInFlight = true;
+  syncState = 'syncing';
+  renderSyncStatus();
+  
+  return steps().then(() => {
+    syncState = 'idle';
+    syncError = "";
+    lastSyncedAt = new Date();
+  }).catch(error => {
+    console.error("Sync failed:", error);
+    syncState = error.name === 'TypeError' ? 'offline' : 'error';
+    syncError = error.name === 'TypeError' ? "The sync server can't be reached." : error.message;
+  }).then(() => {
+    syncInFlight = false;
+    persistAppData();
+    renderSyncStatus();
+    renderSyncSettings();
+  });
+}
+
+/**
+ * Sync on start, when the connection comes back and every few minutes while open
+ */
+function setupSync() {
+  resetSyncBaseline();
+  renderSyncStatus();
+  
+  window.addEventListener('online', syncNow);
+  setInterval(syncNow, SYNC_INTERVAL_MS);
+  syncNow();
+}
+
+/**
+ * Show the sync state in the navbar (hidden while sync is off)
+ */
+function renderSyncStatus() {
+  const pending = appData.sync.pending.length;
+  let text = "☁️ Synced";
+  let title = lastSyncedAt ? `Last synced at ${lastSyncedAt.toLocaleTimeString()}` : "Sync now";
+  
+  if (syncState === 'syncing') {
+    text = "🔄 Syncing…";
+  } else if (syncState === 'offline') {
+    text = `📴 Offline${pending > 0 ? ` · ${pending} waiting` : ""}`;
+    title = syncError;
+  } else if (syncState === 'error') {
+    text = "⚠️ Sync failed";
+    title = syncError;
+  } else if (pending > 0) {
+    text = `⏳ ${pending} waiting`;
+  }
+  
+  document.querySelectorAll(".sync-status").forEach(element => {
+    element.hidden = !appData.sync.enabled;
+    element.innerText = text;
+    element.title = title;
+  });
+}
+
+/**
+ * Fill the Sync card from the saved settings
+ */
+function renderSyncSettings() {
+  const endpointElement = document.getElementById("sync-endpoint");
+  if (!endpointElement) return;
+  
+  const sync = appData.sync;
+  if (document.activeElement !== endpointElement) {
+    endpointElement.value = sync.endpoint;
+  }
+  const tokenElement = document.getElementById("sync-token");
+  if (document.activeElement !== tokenElement) {
+    tokenElement.value = sync.token;
+  }
+  
+  document.getElementById("sync-toggle").innerText = sync.enabled ? "Turn Off Sync" : "☁️ Turn On Sync";
+  document.getElementById("sync-now").style.display = sync.enabled ? "" : "none";
+  
+  const statusElement = document.getElementById("sync-settings-status");
+  if (!sync.enabled) {
+    statusElement.innerText = "Sync is off. Your data stays in this browser.";
+  } else if (syncError) {
+    statusElement.innerText = `⚠️ ${syncError} ${sync.pending.length} change(s) waiting.`;
+  } else {
+    const last = lastSyncedAt ? `Last synced at ${lastSyncedAt.toLocaleTimeString()}.` : "Not synced yet.";
+    statusElement.innerText = `${last} ${sync.pending.length} change(s) waiting.`;
+  }
+}
+
+/**
+ * Turn sync on with the entered server, or off
+ * The first sync pulls the server's data before pushing ours, so for a day logged
+ * on both, the copy already on the server wins
+ */
+function toggleSync() {
+  const sync = appData.sync;
+  
+  if (sync.enabled) {
+    sync.enabled = false;
+    sync.pending = [];
+    sync.cursor = 0;
+    syncState = 'idle';
+    syncError = "";
+    saveData();
+    renderSyncStatus();
+    renderSyncSettings();
+    showFeedback("Sync turned off");
+    return;
+  }
+  
+  const endpoint = document.getElementById("sync-endpoint").value.trim();
+  if (!/^https?:\/\/\S+$/.test(endpoint)) {
+    showAlert("Enter the sync server's address, starting with http:// or https://");
+    return;
+  }
+  
+  sync.enabled = true;
+  sync.endpoint = endpoint;
+  sync.token = document.getElementById("sync-token").value.trim();
+  sync.cursor = 0;
+  sync.pending = [];
+  resetSyncBaseline();
+  saveData();
+  
+  runSync(() => pullChanges().then(() => {
+    queueAllRecords();
+    return pushChanges();
+  })).then(() => {
+    if (syncState === 'idle') {
+      showFeedback("☁️ Sync is on!");
+    }
+  });
+}
+
+/**
+ * Queue every record for the server (used when sync is turned on)
+ * Records already there with the same or a newer updatedAt are ignored by the server
+ */
+function queueAllRecords() {
+  const now = Date.now();
+  const pending = new Set(appData.sync.pending);
+  
+  collectSyncRecords(appData).forEach((record, key) => {
+    if (key.startsWith("day:") && !hasDayContent(record.target)) return;
+    if (!record.target.updatedAt) {
+      record.target.updatedAt = now;
+    }
+    pending.add(key);
+  });
+  
+  appData.sync.pending = Array.from(pending);
+}
+
+// ============================================
+// TEAM - ACCOUNTABILITY GROUP
+// ============================================
+
+// Members of the group as last fetched from the relay: [ { id, updatedAt, profile } ]
+let teamMembers = [];
+
+// idle | loading | offline | error
+let teamState = 'idle';
+let teamError = "";
+let teamPublishDebounce = null;
+
+// JSON of the progress last published, so saves that change nothing aren't sent
+let lastPublishedTeamProfile = "";
+
+// Member whose calendar day is open on the Team page: { memberId, day }
+let selectedTeamDay = null;
+
+/**
+ * What this member publishes: score, streak and done / not done per habit for each day
+ * Logged values are only included when the member allows it
+ */
+function buildTeamProfile() {
+  const challenge = getChallenge();
+  const profile = profileRegistry ? getProfile(activeProfileId) : null;
+  const days = {};
+  
+  Object.keys(challenge.days).forEach(day => {
+    const dayData = challenge.days[day];
+    const record = {
+      date: dayData.date,
+      score: dayData.score || 0,
+      completed: Boolean(dayData.completed),
+      missed: Boolean(dayData.missed),
+      frozen: Boolean(dayData.frozen),
+      logged: countLoggedValues(dayData) > 0,
+      habits: { ...dayData.completedHabits }
+    };
+    if (appData.team.shareValues) {
+      record.values = {};
+      challenge.habits.forEach(habit => {
+        if (dayData[habit.id] !== null && dayData[habit.id] !== undefined) {
+          record.values[habit.id] = dayData[habit.id];
+        }
+      });
+    }
+    days[day] = record;
+  });
+  
+  return {
+    name: appData.team.name,
+    avatar: profile ? profile.avatar : "",
+    challenge: {
+      name: challenge.name,
+      length: challenge.length,
+      startDate: challenge.startDate,
+      currentDay: challenge.currentDay,
+      restWeekdays: challenge.rules.restWeekdays
+    },
+    streak: challenge.streak,
+    habits: challenge.habits.map(({ id, icon, label, type, unit }) => ({ id, icon, label, type, unit })),
+    days,
+    sharesValues: appData.team.shareValues
+  };
+}
+
+/**
+ * Call the relay server; rejects with a TypeError when it can't be reached
+ * Resolves with the parsed response (null for empty responses)
+ */
+function teamRequest(method, path, body) {
+  const team = appData.team;
+  const url = `${team.endpoint.replace(/\/+$/, "")}/groups/${encodeURIComponent(team.groupCode)}${path}`;
+  const headers = { "Content-Type": "application/json", Authorization: `Bearer ${team.memberKey}` };
+  
+  return fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined }).then(response => {
+    if (!response.ok) {
+      const error = new Error(response.status === 403
+        ? "The relay didn't accept this member's key."
+        : `The relay answered ${response.status}.`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  });
+}
+
+/**
+ * Publish soon after a change, so a burst of edits goes out as one request
+ */
+function scheduleTeamPublish() {
+  clearTimeout(teamPublishDebounce);
+  teamPublishDebounce = setTimeout(() => runTeamRequest(publishTeamProfile), TEAM_PUBLISH_DEBOUNCE_MS);
+}
+
+/**
+ * Send this member's progress (unless it hasn't changed, when not forced)
+ * Nudges waiting on the relay come back with the answer
+ */
+function publishTeamProfile(force) {
+  const profile = buildTeamProfile();
+  const json = JSON.stringify(profile);
+  if (!force && json === lastPublishedTeamProfile) {
+    return Promise.resolve();
+  }
+  
+  return teamRequest("PUT", `/members/${encodeURIComponent(appData.team.memberId)}`, { profile }).then(response => {
+    lastPublishedTeamProfile = json;
+    const nudges = response && Array.isArray(response.nudges) ? response.nudges : [];
+    nudges.forEach(nudge => {
+      showToast(`👋 ${nudge.fromName || "A teammate"} nudged you - time to log today's habits!`, { duration: UNDO_TOAST_MS });
+    });
+  });
+}
+
+/**
+ * Fetch every member's progress
+ */
+function fetchTeam() {
+  return teamRequest("GET", "").then(response => {
+    const members = response && Array.isArray(response.members) ? response.members : [];
+    teamMembers = members.filter(isTeamMember).map(member => ({
+      ...member,
+      profile: { ...member.profile, days: getTeamMemberDays(member.profile) }
+    }));
+  });
+}
+
+/**
+ * Whether a relay entry has a valid id and a profile
+ * The relay stores profiles as members publish them, so nothing in them is trusted
+ */
+function isTeamMember(member) {
+  return Boolean(member) && typeof member.id === 'string' && TEAM_ID_PATTERN.test(member.id) &&
+    Boolean(member.profile) && typeof member.profile === 'object';
+}
+
+/**
+ * A member's day records, leaving out anything that isn't one
+ */
+function getTeamMemberDays(profile) {
+  const days = {};
+  if (profile.days && typeof profile.days === 'object') {
+    Object.keys(profile.days).forEach(day => {
+      const dayData = profile.days[day];
+      if (/^\d+$/.test(day) && dayData && typeof dayData === 'object') {
+        days[day] = dayData;
+      }
+    });
+  }
+  return days;
+}
+
+/**
+ * A member's challenge as a run the calendar can draw, with every field bounded
+ */
+function getTeamMemberRun(member) {
+  const challenge = member.profile.challenge || {};
+  const length = Math.min(MAX_CHALLENGE_DAYS, Math.max(1, Math.round(Number(challenge.length)) || 1));
+  const startDate = typeof challenge.startDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(challenge.startDate)
+    ? challenge.startDate
+    : toDateKey(new Date());
+  const restWeekdays = Array.isArray(challenge.restWeekdays)
+    ? challenge.restWeekdays.filter(weekday => Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)
+    : [];
+  
+  return {
+    length,
+    startDate,
+    currentDay: Math.min(length, Math.max(1, Math.round(Number(challenge.currentDay)) || 1)),
+    days: member.profile.days,
+    rules: { restWeekdays }
+  };
+}
+
+/**
+ * Publish this member's progress and fetch everyone's
+ */
+function refreshTeam() {
+  return runTeamRequest(() => publishTeamProfile(true).then(fetchTeam));
+}
+
+/**
+ * Run relay requests and keep the Team page's status up to date
+ */
+function runTeamRequest(steps) {
+  if (!appData.team.enabled) {
+    return Promise.resolve();
+  }
+  
+  clearTimeout(teamPublishDebounce);
+  teamState = 'loading';
+  renderTeamStatus();
+  
+  return steps().then(() => {
+    teamState = 'idle';
+    teamError = "";
+  }).catch(error => {
+    console.error("Team relay failed:", error);
+    teamState = error.name === 'TypeError' ? 'offline' : 'error';
+    teamError = error.name === 'TypeError' ? "The relay server can't be reached." : error.message;
+  }).then(() => {
+    renderTeamPage();
+    renderTeamSettings();
+  });
+}
+
+/**
+ * Refresh on start, when the connection comes back and every few minutes while open
+ */
+function setupTeam() {
+  renderTeamNav();
+  
+  window.addEventListener('online', refreshTeam);
+  setInterval(refreshTeam, TEAM_REFRESH_MS);
+  refreshTeam();
+}
+
+/**
+ * Show the Team page in the navigation only while in a group
+ */
+function renderTeamNav() {
+  document.querySelectorAll('[data-page="team"]').forEach(button => {
+    button.hidden = !appData.team.enabled;
+  });
+}
+
+/**
+ * Status line of the Team page
+ */
+function renderTeamStatus() {
+  const statusElement = document.getElementById("team-status");
+  if (!statusElement) return;
+  
+  if (teamState === 'loading') {
+    statusElement.innerText = "🔄 Updating…";
+  } else if (teamError) {
+    statusElement.innerText = `⚠️ ${teamError}`;
+  } else {
+    statusElement.innerText = `Group code: ${appData.team.groupCode}`;
+  }
+}
+
+/**
+ * Whether a member logged anything today (by this device's date)
+ */
+function hasMemberLoggedToday(profile) {
+  const today = toDateKey(new Date());
+  return Object.values(profile.days || {}).some(day => day.date === today && day.logged);
+}
+
+/**
+ * Everyone's calendar side by side, with a nudge for members who haven't logged today
+ */
+function renderTeamPage() {
+  const membersElement = document.getElementById("team-members");
+  if (!membersElement) return;
+  
+  renderTeamStatus();
+  if (!appData.team.enabled) {
+    membersElement.innerHTML = `<p class="settings-hint">Join or start a group under Settings → Team to see your team's progress here.</p>`;
+    return;
+  }
+  if (teamMembers.length === 0) {
+    membersElement.innerHTML = `<p class="settings-hint">No one has published to this group yet.</p>`;
+    return;
+  }
+  
+  // You first, then by streak
+  const members = teamMembers.slice().sort((a, b) => {
+    const isMeA = a.id === appData.team.memberId;
+    const isMeB = b.id === appData.team.memberId;
+    return isMeB - isMeA || (b.profile.streak || 0) - (a.profile.streak || 0);
+  });
+  
+  membersElement.innerHTML = members.map(member => {
+    const profile = member.profile;
+    const isMe = member.id === appData.team.memberId;
+    const challenge = profile.challenge || {};
+    const run = getTeamMemberRun(member);
+    const today = Object.values(profile.days).find(day => day.date === toDateKey(new Date()));
+    
+    let todayText;
+    if (hasMemberLoggedToday(profile)) {
+      todayText = `✅ Logged today · ${Number(today.score) || 0}%`;
+    } else if (isMe) {
+      todayText = "⏳ You haven't logged today";
+    } else {
+      todayText = `⏳ Hasn't logged today <button class="secondary team-nudge" data-member-id="${member.id}">👋 Nudge</button>`;
+    }
+    
+    return `
+      <div class="settings-card team-member">
+        <h3>${escapeHtml(profile.avatar || "")} ${escapeHtml(profile.name || "Teammate")}${isMe ? " (you)" : ""}</h3>
+        <p class="settings-hint">${escapeHtml(challenge.name || "")} · Day ${run.currentDay} of ${run.length} · ${Number(profile.streak) || 0} 🔥</p>
+        <p class="team-today">${todayText}</p>
+        <div class="calendar team-calendar" id="team-calendar-${member.id}"></div>
+        <div class="team-day" id="team-day-${member.id}"></div>
+        <p class="settings-hint">Updated ${escapeHtml(new Date(Number(member.updatedAt)).toLocaleString())}</p>
+      </div>
+    `;
+  }).join("");
+  
+  members.forEach(member => {
+    const run = getTeamMemberRun(member);
+    const calendarElement = document.getElementById(`team-calendar-${member.id}`);
+    fillCalendarGrid(calendarElement, run, run.currentDay, day => showTeamDay(member.id, day));
+  });
+  
+  membersElement.querySelectorAll(".team-nudge").forEach(button => {
+    button.addEventListener("click", () => nudgeMember(button.dataset.memberId));
+  });
+  
+  if (selectedTeamDay) {
+    showTeamDay(selectedTeamDay.memberId, selectedTeamDay.day);
+  }
+}
+
+/**
+ * Show which habits a member completed on a day (and the values, if they share them)
+ */
+function showTeamDay(memberId, day) {
+  const member = teamMembers.find(candidate => candidate.id === memberId);
+  const detailsElement = document.getElementById(`team-day-${memberId}`);
+  if (!member || !detailsElement) return;
+  
+  document.querySelectorAll(".team-day").forEach(element => {
+    element.innerHTML = "";
+  });
+  selectedTeamDay = { memberId, day };
+  
+  const dayData = (member.profile.days || {})[day];
+  if (!dayData) {
+    detailsElement.innerHTML = `<p class="settings-hint">Day ${day}: nothing logged.</p>`;
+    return;
+  }
+  
+  const habits = Array.isArray(member.profile.habits)
+    ? member.profile.habits.filter(habit => habit && typeof habit === 'object')
+    : [];
+  detailsElement.innerHTML = `
+    <p><strong>Day ${day}</strong> · ${Number(dayData.score) || 0}%${dayData.completed ? " · ✅ Completed" : ""}${dayData.frozen ? " · 🧊 Frozen" : ""}</p>
+    <ul class="team-day-habits">
+      ${habits.map(habit => {
+        const done = dayData.habits && dayData.habits[habit.id];
+        const value = dayData.values && dayData.values[habit.id] !== undefined
+          ? ` · ${escapeHtml(String(dayData.values[habit.id]))}${habit.unit ? " " + escapeHtml(habit.unit) : ""}`
+          : "";
+        return `<li>${done ? "✔" : "✘"} ${escapeHtml(habit.icon || "")} ${escapeHtml(habit.label || habit.id)}${value}</li>`;
+      }).join("")}
+    </ul>
+  `;
+}
+
+/**
+ * Send a member a nudge (the relay allows one per member per day)
+ */
+function nudgeMember(memberId) {
+  const member = teamMembers.find(candidate => candidate.id === memberId);
+  if (!member) return;
+  const name = member.profile.name || "Your teammate";
+  
+  teamRequest("POST", `/members/${encodeURIComponent(memberId)}/nudges`, { from: appData.team.memberId }).then(() => {
+    showFeedback(`👋 ${name} will be nudged next time they open the app`);
+  }).catch(error => {
+    if (error.status === 429) {
+      showFeedback(`You already nudged ${name} today`);
+    } else {
+      showAlert(error.name === 'TypeError' ? "The relay server can't be reached." : error.message);
+    }
+  });
+}
+
+/**
+ * Fill the Team card from the saved settings
+ */
+function renderTeamSettings() {
+  const endpointElement = document.getElementById("team-endpoint");
+  if (!endpointElement) return;
+  
+  const team = appData.team;
+  endpointElement.value = team.endpoint;
+  endpointElement.disabled = team.enabled;
+  const codeElement = document.getElementById("team-code");
+  codeElement.value = team.groupCode;
+  codeElement.readOnly = team.enabled;
+  const nameElement = document.getElementById("team-name");
+  if (document.activeElement !== nameElement) {
+    nameElement.value = team.name || (profileRegistry ? getProfile(activeProfileId).name : "");
+  }
+  document.getElementById("team-share-values").checked = team.shareValues;
+  
+  document.getElementById("team-toggle").innerText = team.enabled ? "Leave Group" : "👥 Join Group";
+  document.getElementById("team-save").style.display = team.enabled ? "" : "none";
+  document.getElementById("team-settings-status").innerText = team.enabled
+    ? `You're in group ${team.groupCode}. Share the code and relay address with your team so they can join.${teamError ? ` ⚠️ ${teamError}` : ""}`
+    : "You're not in a group. Leave the code empty to start a new one.";
+}
+
+/**
+ * Join the group with the entered code (or start a new group), or leave the group
+ */
+function toggleTeam() {
+  const team = appData.team;
+  if (team.enabled) {
+    leaveTeam();
+    return;
+  }
+  
+  const endpoint = document.getElementById("team-endpoint").value.trim();
+  if (!/^https?:\/\/\S+$/.test(endpoint)) {
+    showAlert("Enter the relay server's address, starting with http:// or https://");
+    return;
+  }
+  const code = document.getElementById("team-code").value.trim();
+  if (code && !TEAM_ID_PATTERN.test(code)) {
+    showAlert("A group code is 6 to 64 letters, digits or dashes.");
+    return;
+  }
+  const name = document.getElementById("team-name").value.trim();
+  if (!name) {
+    showAlert("Enter the name your team will see.");
+    return;
+  }
+  
+  const randomHex = length => toHex(crypto.getRandomValues(new Uint8Array(length)));
+  Object.assign(team, {
+    enabled: true,
+    endpoint,
+    groupCode: code || randomHex(8),
+    memberId: `member-${randomHex(8)}`,
+    memberKey: randomHex(24),
+    name,
+    shareValues: document.getElementById("team-share-values").checked
+  });
+  lastPublishedTeamProfile = "";
+  saveData();
+  renderTeamNav();
+  
+  refreshTeam().then(() => {
+    if (teamState === 'idle') {
+      showFeedback(code ? "👥 Joined the group!" : "👥 Group started! Share the code with your team.");
+    }
+  });
+}
+
+/**
+ * Save the name and sharing choice while in a group, and publish them
+ */
+function saveTeamSettings() {
+  const name = document.getElementById("team-name").value.trim();
+  if (!name) {
+    showAlert("Enter the name your team will see.");
+    return;
+  }
+  
+  appData.team.name = name;
+  appData.team.shareValues = document.getElementById("team-share-values").checked;
+  saveData();
+  refreshTeam();
+  showFeedback("✅ Team settings saved!");
+}
+
+/**
+ * Remove this member from the relay and turn group mode off
+ */
+function leaveTeam() {
+  showConfirm("Your progress will be removed from the group. You can join again later with the group code.", {
+    title: "Leave the group?",
+    confirmLabel: "Leave"
+  }).then(confirmed => {
+    if (!confirmed) return;
+    
+    const leaving = teamRequest("DELETE", `/members/${encodeURIComponent(appData.team.memberId)}`).catch(error => {
+      console.error("Couldn't leave the group on the relay:", error);
+      showAlert("The relay server couldn't be reached, so your last published progress stays visible to the group.");
+    });
+    
+    return leaving.then(() => {
+      Object.assign(appData.team, { enabled: false, groupCode: "", memberId: "", memberKey: "" });
+      teamMembers = [];
+      teamState = 'idle';
+      teamError = "";
+      selectedTeamDay = null;
+      saveData();
+      renderTeamNav();
+      renderTeamSettings();
+      renderTeamPage();
+      showFeedback("You left the group");
+    });
+  });
+}
+
+// ============================================
+// PROFILES - PICKER, PINS & LEADERBOARD
+// ============================================
+
+// Registry of profiles: { activeProfileId, profiles: [ { id, name, avatar, pin, summary } ] }
+// pin: { salt, hash } or null; summary: the profile's streaks and scores for the leaderboard
+let profileRegistry = null;
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+// Open picker: { resolve, cancellable, pinProfileId, onlyPin, onPin }
+// pinProfileId is set while the PIN form for that profile is showing
+let profilePicker = null;
+
+/**
+ * Read the profile registry, creating it (with the default profile) on first use
+ */
+function loadProfiles() {
+  profileRegistry = readProfiles();
+  activeProfileId = profileRegistry.activeProfileId;
+}
+
+/**
+ * The profile registry as stored (a default one when there is none yet)
+ */
+function readProfiles() {
+  let registry = null;
+  try {
+    registry = JSON.parse(localStorage.getItem(PROFILES_KEY));
+  } catch (error) {
+    console.warn("Profile list is not valid JSON, starting a new one:", error);
+  }
+  
+  // Profile ids end up in storage keys and element attributes
+  const profiles = registry && Array.isArray(registry.profiles)
+    ? registry.profiles.filter(profile => profile && typeof profile.id === 'string' && ID_PATTERN.test(profile.id))
+    : [];
+  if (profiles.length === 0) {
+    registry = {
+      activeProfileId: DEFAULT_PROFILE_ID,
+      profiles: [createProfile(DEFAULT_PROFILE_ID, "Me", PROFILE_AVATARS[0])]
+    };
+  } else {
+    registry.profiles = profiles;
+  }
+  if (!registry.profiles.some(profile => profile.id === registry.activeProfileId)) {
+    registry.activeProfileId = registry.profiles[0].id;
+  }
+  return registry;
+}
+
+/**
+ * Change the profile registry and write it
+ * Other tabs may be open on other profiles, so the stored registry is read again and
+ * change edits that copy - their new profiles, PINs and deletions are kept
+ */
+function updateProfiles(change) {
+  const registry = readProfiles();
+  change(registry);
+  profileRegistry = registry;
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.error("Error saving profiles:", error);
+  }
+}
+
+/**
+ * Change one profile's entry in the registry (nothing happens if it was deleted meanwhile)
+ */
+function updateProfile(id, change) {
+  updateProfiles(registry => {
+    const profile = registry.profiles.find(candidate => candidate.id === id);
+    if (profile) {
+      change(profile);
+    }
+  });
+}
+
+/**
+ * Pick up profile changes made in another tab
+ * If that tab deleted the profile open here, this tab starts over with the picker
+ */
+function setupProfileWatch() {
+  window.addEventListener("storage", event => {
+    if (event.key !== PROFILES_KEY) return;
+    
+    profileRegistry = readProfiles();
+    if (!getProfile(activeProfileId)) {
+      sessionStorage.removeItem(UNLOCKED_PROFILE_KEY);
+      location.reload();
+      return;
+    }
+    // Only the list: the form fields may be in the middle of being edited
+    renderProfileSwitcher();
+    renderProfileList();
+    renderLeaderboard();
+  });
+}
+
+/**
+ * A new profile entry (its data is created the first time it is opened)
+ */
+function createProfile(id, name, avatar) {
+  return { id, name, avatar, pin: null, summary: null };
+}
+
+/**
+ * Profile by id
+ */
+function getProfile(id) {
+  return profileRegistry.profiles.find(profile => profile.id === id);
+}
+
+/**
+ * Storage key (or database name) of a profile's data
+ * The first profile keeps the unsuffixed keys, so data saved before profiles existed is its own
+ */
+function getProfileStorageKey(key, profileId = activeProfileId) {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`;
+}
+
+/**
+ * Pick the profile to open at startup
+ * The picker is skipped with a single profile without a PIN, and after switching
+ * profiles (the profile picked before the reload stays unlocked for this tab)
+ * Resolves once activeProfileId is set
+ */
+function selectStartupProfile() {
+  loadProfiles();
+  
+  const unlocked = sessionStorage.getItem(UNLOCKED_PROFILE_KEY);
+  const active = getProfile(activeProfileId);
+  if (unlocked === activeProfileId || (profileRegistry.profiles.length === 1 && !active.pin)) {
+    return Promise.resolve(activeProfileId);
+  }
+  
+  return openProfilePicker(false).then(id => {
+    activeProfileId = id;
+    updateProfiles(registry => {
+      registry.activeProfileId = id;
+    });
+    sessionStorage.setItem(UNLOCKED_PROFILE_KEY, id);
+    return id;
+  });
+}
+
+/**
+ * Show the profile picker; resolves with the id of the profile picked (PIN checked)
+ * or null when a cancellable picker is closed
+ */
+function openProfilePicker(cancellable) {
+  return new Promise(resolve => {
+    profilePicker = { resolve, cancellable, pinProfileId: null, onlyPin: false, onPin: null };
+    renderProfilePicker();
+    document.getElementById("profile-picker").hidden = false;
+  });
+}
+
+/**
+ * Draw the profile list, or the PIN form for the profile being unlocked
+ */
+function renderProfilePicker() {
+  const pinProfile = profilePicker.pinProfileId ? getProfile(profilePicker.pinProfileId) : null;
+  
+  document.getElementById("profile-picker-title").innerText = pinProfile
+    ? `${pinProfile.avatar} ${pinProfile.name}`
+    : "Who's tracking?";
+  document.getElementById("profile-picker-list").style.display = pinProfile ? "none" : "";
+  document.getElementById("profile-pin-form").style.display = pinProfile ? "" : "none";
+  document.getElementById("profile-pin-submit").style.display = pinProfile ? "" : "none";
+  document.getElementById("profile-picker-cancel").style.display = profilePicker.cancellable || pinProfile ? "" : "none";
+  
+  const active = getProfile(activeProfileId);
+  document.getElementById("profile-picker-lock").style.display =
+    profilePicker.cancellable && !pinProfile && active && active.pin ? "" : "none";
+  
+  if (pinProfile) {
+    const pinElement = document.getElementById("profile-pin-input");
+    pinElement.value = "";
+    document.getElementById("profile-pin-error").innerText = "";
+    pinElement.focus();
+    return;
+  }
+  
+  const listElement = document.getElementById("profile-picker-list");
+  listElement.innerHTML = profileRegistry.profiles.map(profile => `
+    <button class="profile-choice${profile.id === activeProfileId && profilePicker.cancellable ? " current" : ""}" data-profile-id="${profile.id}">
+      <span class="profile-avatar">${escapeHtml(profile.avatar)}</span>
+      <span>${escapeHtml(profile.name)}</span>
+      ${profile.pin ? `<span class="profile-lock" title="PIN protected">🔒</span>` : ""}
+    </button>
+  `).join("");
+  listElement.querySelectorAll(".profile-choice").forEach(button => {
+    button.addEventListener("click", () => pickProfile(button.dataset.profileId));
+  });
+}
+
+/**
+ * A profile was picked: ask for its PIN if it has one
+ */
+function pickProfile(id) {
+  const profile = getProfile(id);
+  if (!profile) return;
+  
+  // The open profile is already unlocked
+  if (!profile.pin || (profilePicker.cancellable && id === activeProfileId)) {
+    closeProfilePicker(id);
+    return;
+  }
+  
+  profilePicker.pinProfileId = id;
+  profilePicker.onPin = () => closeProfilePicker(id);
+  renderProfilePicker();
+}
+
+/**
+ * Check the entered PIN against the profile being unlocked
+ */
+function submitProfilePin(event) {
+  event.preventDefault();
+  
+  const profile = getProfile(profilePicker.pinProfileId);
+  const pin = document.getElementById("profile-pin-input").value;
+  verifyPin(profile, pin).then(matches => {
+    if (!profilePicker) return;
+    if (!matches) {
+      document.getElementById("profile-pin-error").innerText = "Wrong PIN, try again.";
+      document.getElementById("profile-pin-input").value = "";
+      return;
+    }
+    profilePicker.onPin();
+  });
+}
+
+/**
+ * Cancel: leave the PIN form for the list, or close a cancellable picker
+ */
+function cancelProfilePicker() {
+  if (!profilePicker) return;
+  
+  if (profilePicker.pinProfileId && !profilePicker.onlyPin) {
+    profilePicker.pinProfileId = null;
+    profilePicker.onPin = null;
+    renderProfilePicker();
+  } else if (profilePicker.cancellable) {
+    closeProfilePicker(null);
+  }
+}
+
+/**
+ * Hide the picker and resolve it
+ */
+function closeProfilePicker(id) {
+  const { resolve } = profilePicker;
+  profilePicker = null;
+  document.getElementById("profile-picker").hidden = true;
+  resolve(id);
+}
+
+/**
+ * Ask for one profile's PIN on its own (e.g. before deleting it)
+ * Resolves with true once the right PIN is entered (or it has none), false if cancelled
+ */
+function requestProfilePin(profile) {
+  if (!profile.pin) {
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => {
+    profilePicker = {
+      resolve: id => resolve(id !== null),
+      cancellable: true,
+      pinProfileId: profile.id,
+      onlyPin: true,
+      onPin: () => closeProfilePicker(profile.id)
+    };
+    renderProfilePicker();
+    document.getElementById("profile-picker").hidden = false;
+  });
+}
+
+/**
+ * Navbar picker: switch to the profile picked
+ */
+function showProfilePicker() {
+  openProfilePicker(true).then(id => {
+    if (id && id !== activeProfileId) {
+      switchProfile(id);
+    }
+  });
+}
+
+/**
+ * Open another profile
+ * The page is reloaded once pending writes are done, so nothing of this profile
+ * (timers, sync, open database) carries over
+ */
+function switchProfile(id) {
+  updateProfiles(registry => {
+    registry.activeProfileId = id;
+  });
+  sessionStorage.setItem(UNLOCKED_PROFILE_KEY, id);
+  
+  storageQueue.then(() => location.reload());
+}
+
+/**
+ * Lock the open profile and go back to the startup picker
+ */
+function lockProfile() {
+  sessionStorage.removeItem(UNLOCKED_PROFILE_KEY);
+  if (profilePicker) {
+    closeProfilePicker(null);
+  }
+  storageQueue.then(() => location.reload());
+}
+
+/**
+ * Hash a PIN with PBKDF2 (SHA-256) and a per-profile salt, both hex strings
+ * The PIN keeps others out of a profile on a shared device; the data itself is not encrypted
+ */
+function hashPin(pin, salt) {
+  const encoder = new TextEncoder();
+  const toBytes = hex => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+  
+  return crypto.subtle.importKey("raw", encoder.encode(pin), "PBKDF2", false, ["deriveBits"])
+    .then(key => crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: toBytes(salt), iterations: PIN_ITERATIONS },
+      key,
+      256
+    ))
+    .then(bits => toHex(new Uint8Array(bits)));
+}
+
+/**
+ * Bytes as a hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Salt and hash to store for a new PIN
+ */
+function createPin(pin) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return hashPin(pin, salt).then(hash => ({ salt, hash }));
+}
+
+/**
+ * Whether a PIN matches the profile's (profiles without a PIN always match)
+ */
+function verifyPin(profile, pin) {
+  if (!profile.pin) {
+    return Promise.resolve(true);
+  }
+  return hashPin(pin, profile.pin.salt).then(hash => hash === profile.pin.hash);
+}
+
+/**
+ * Whether a PIN is 4 to 8 digits
+ */
+function isValidPin(pin) {
+  return /^\d{4,8}$/.test(pin);
+}
+
+/**
+ * Store the open profile's streaks and scores for the leaderboard
+ * Called on every save, so other profiles see it without opening this profile's data
+ */
+function updateProfileSummary() {
+  const challenge = getChallenge();
+  const tracked = getTrackedDays(challenge.days);
+  const today = challenge.days[challenge.currentDay];
+  const runs = getAllRuns();
+  
+  const summary = {
+    challengeName: challenge.name,
+    currentDay: challenge.currentDay,
+    length: challenge.length,
+    streak: challenge.streak,
+    longestStreak: longestAcrossRuns(runs, run => getLongestStreak(run.days)),
+    averageScore: tracked.length > 0
+      ? Math.round(tracked.reduce((sum, { data }) => sum + (data.score || 0), 0) / tracked.length)
+      : 0,
+    todayScore: today ? today.score || 0 : 0,
+    completedDays: countDays(runs, day => day.completed),
+    savedOn: toDateKey(new Date())
+  };
+  updateProfile(activeProfileId, profile => {
+    profile.summary = summary;
+  });
+}
+
+/**
+ * Show the open profile in the navbar picker (hidden while there is only one profile)
+ */
+function renderProfileSwitcher() {
+  const profile = getProfile(activeProfileId);
+  document.querySelectorAll(".profile-switcher").forEach(element => {
+    element.hidden = profileRegistry.profiles.length < 2;
+    element.innerText = `${profile.avatar} ${profile.name}`;
+  });
+}
+
+/**
+ * List every profile in the Profiles card
+ */
+function renderProfileList() {
+  const listElement = document.getElementById("profile-list");
+  if (!listElement) return;
+  
+  listElement.innerHTML = profileRegistry.profiles.map(profile => {
+    const isActive = profile.id === activeProfileId;
+    const status = profile.summary
+      ? `${escapeHtml(profile.summary.challengeName)} · Day ${profile.summary.currentDay} · ${profile.summary.streak} 🔥`
+      : "Not opened yet";
+    const actions = isActive
+      ? `<span class="challenge-active">Open</span>`
+      : `<button class="secondary profile-switch" data-profile-id="${profile.id}">Switch</button>` +
+        `<button class="secondary profile-remove" data-profile-id="${profile.id}" title="Delete profile">✕</button>`;
+    return `
+      <div class="challenge-row">
+        <div>
+          <strong>${escapeHtml(profile.avatar)} ${escapeHtml(profile.name)}${profile.pin ? " 🔒" : ""}</strong>
+          <p class="settings-hint">${status}</p>
+        </div>
+        <div class="challenge-row-actions">${actions}</div>
+      </div>
+    `;
+  }).join("");
+  listElement.querySelectorAll(".profile-switch").forEach(button => {
+    button.addEventListener("click", () => switchToProfile(button.dataset.profileId));
+  });
+  listElement.querySelectorAll(".profile-remove").forEach(button => {
+    button.addEventListener("click", () => removeProfile(button.dataset.profileId));
+  });
+}
+
+/**
+ * Fill the Profiles card: every profile, and the open profile's name, icon and PIN
+ */
+function renderProfileSettings() {
+  const listElement = document.getElementById("profile-list");
+  if (!listElement) return;
+  
+  renderProfileList();
+  
+  const avatarOptions = selected => PROFILE_AVATARS.map(avatar => {
+    return `<option value="${avatar}"${avatar === selected ? " selected" : ""}>${avatar}</option>`;
+  }).join("");
+  
+  const profile = getProfile(activeProfileId);
+  document.getElementById("profile-name").value = profile.name;
+  document.getElementById("profile-avatar").innerHTML = avatarOptions(profile.avatar);
+  document.getElementById("profile-pin").value = "";
+  document.getElementById("profile-pin-remove").style.display = profile.pin ? "" : "none";
+  document.getElementById("profile-pin-save").innerText = profile.pin ? "Change PIN" : "Set PIN";
+  
+  const newAvatarElement = document.getElementById("new-profile-avatar");
+  if (newAvatarElement.options.length === 0) {
+    newAvatarElement.innerHTML = avatarOptions(PROFILE_AVATARS[profileRegistry.profiles.length % PROFILE_AVATARS.length]);
+  }
+}
+
+/**
+ * Save the open profile's name and icon
+ */
+function saveProfileDetails() {
+  const name = document.getElementById("profile-name").value.trim();
+  if (!name) {
+    showAlert("Give the profile a name!");
+    return;
+  }
+  
+  const avatar = document.getElementById("profile-avatar").value;
+  updateProfile(activeProfileId, profile => {
+    profile.name = name;
+    profile.avatar = avatar;
+  });
+  
+  renderProfileSettings();
+  renderProfileSwitcher();
+  showFeedback("✅ Profile saved!");
+}
+
+/**
+ * Set or change the open profile's PIN
+ */
+function saveProfilePin() {
+  const pin = document.getElementById("profile-pin").value.trim();
+  if (!isValidPin(pin)) {
+    showAlert("The PIN must be 4 to 8 digits.");
+    return;
+  }
+  if (!window.crypto || !crypto.subtle) {
+    showAlert("PINs need the app to be opened over https:// (or from this device).");
+    return;
+  }
+  
+  createPin(pin).then(storedPin => {
+    updateProfile(activeProfileId, profile => {
+      profile.pin = storedPin;
+    });
+    sessionStorage.setItem(UNLOCKED_PROFILE_KEY, activeProfileId);
+    renderProfileSettings();
+    showFeedback("🔒 PIN set");
+  });
+}
+
+/**
+ * Remove the open profile's PIN
+ */
+function removeProfilePin() {
+  updateProfile(activeProfileId, profile => {
+    profile.pin = null;
+  });
+  renderProfileSettings();
+  showFeedback("PIN removed");
+}
+
+/**
+ * Add a profile from the Settings form, with a fresh challenge of its own
+ */
+function addProfile() {
+  const nameElement = document.getElementById("new-profile-name");
+  const name = nameElement.value.trim();
+  if (!name) {
+    showAlert("Give the profile a name!");
+    return;
+  }
+  if (profileRegistry.profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+    showAlert(`There's already a profile called "${name}".`);
+    return;
+  }
+  
+  const id = `profile-${Date.now().toString(36)}`;
+  const avatar = document.getElementById("new-profile-avatar").value;
+  updateProfiles(registry => {
+    registry.profiles.push(createProfile(id, name, avatar));
+  });
+  
+  nameElement.value = "";
+  document.getElementById("new-profile-avatar").innerHTML = "";
+  renderProfileSettings();
+  renderProfileSwitcher();
+  renderLeaderboard();
+  showFeedback(`👤 ${name} added! Switch to it to start tracking.`);
+}
+
+/**
+ * Switch from the Profiles card, asking for the profile's PIN first
+ */
+function switchToProfile(id) {
+  const profile = getProfile(id);
+  if (!profile) return;
+  
+  requestProfilePin(profile).then(unlocked => {
+    if (unlocked) {
+      switchProfile(id);
+    }
+  });
+}
+
+/**
+ * Delete another profile and all its data (after its PIN and a confirmation)
+ */
+function removeProfile(id) {
+  const profile = getProfile(id);
+  if (!profile || id === activeProfileId) return;
+  
+  requestProfilePin(profile).then(unlocked => {
+    if (!unlocked) return false;
+    return showConfirm(`All of ${profile.name}'s challenges, days and badges will be deleted from this device. Export a backup from that profile first if you might need it.`, {
+      title: `Delete ${profile.name}?`,
+      confirmLabel: "Delete",
+      danger: true
+    });
+  }).then(confirmed => {
+    if (!confirmed) return;
+    
+    deleteProfileData(id);
+    updateProfiles(registry => {
+      registry.profiles = registry.profiles.filter(candidate => candidate.id !== id);
+    });
+    
+    renderProfileSettings();
+    renderProfileSwitcher();
+    renderLeaderboard();
+    showFeedback(`${profile.name} deleted`);
+  });
+}
+
+/**
+ * Remove a profile's database and localStorage keys
+ */
+function deleteProfileData(id) {
+  if (window.indexedDB) {
+    indexedDB.deleteDatabase(getProfileStorageKey(DB_NAME, id));
+  }
+  
+  const keys = [STORAGE_KEY, CORRUPT_DATA_KEY];
+  for (let version = 0; version < SCHEMA_VERSION; version++) {
+    keys.push(MIGRATION_BACKUP_KEY + version);
+  }
+  keys.forEach(key => localStorage.removeItem(getProfileStorageKey(key, id)));
+}
+
+/**
+ * Compare streaks and scores of every profile (shown once there are two or more)
+ * Sorted by current streak, then average score
+ */
+function renderLeaderboard() {
+  const sectionElement = document.getElementById("leaderboard-section");
+  const tableElement = document.getElementById("leaderboard-table");
+  if (!sectionElement || !tableElement) return;
+  
+  sectionElement.style.display = profileRegistry.profiles.length < 2 ? "none" : "";
+  if (profileRegistry.profiles.length < 2) return;
+  
+  const today = toDateKey(new Date());
+  const ranked = profileRegistry.profiles.slice().sort((a, b) => {
+    const summaryA = a.summary || {};
+    const summaryB = b.summary || {};
+    return (summaryB.streak || 0) - (summaryA.streak || 0) || (summaryB.averageScore || 0) - (summaryA.averageScore || 0);
+  });
+  
+  const medals = ["🥇", "🥈", "🥉"];
+  tableElement.innerHTML = `
+    <tr><th></th><th>Profile</th><th>Streak</th><th>Longest</th><th>Avg Score</th><th>Today</th><th>Days Done</th></tr>
+    ${ranked.map((profile, index) => {
+      const summary = profile.summary;
+      const name = `${escapeHtml(profile.avatar)} ${escapeHtml(profile.name)}`;
+      if (!summary) {
+        return `<tr><td></td><td>${name}</td><td colspan="5" class="settings-hint">Not opened yet</td></tr>`;
+      }
+      const seen = summary.savedOn === today ? "" : `<br><span class="settings-hint">last opened ${escapeHtml(summary.savedOn)}</span>`;
+      return `
+        <tr class="${profile.id === activeProfileId ? "leaderboard-current" : ""}">
+          <td>${medals[index] || index + 1}</td>
+          <td>${name}<br><span class="settings-hint">${escapeHtml(summary.challengeName)} · Day ${summary.currentDay}/${summary.length}</span>${seen}</td>
+          <td>${summary.streak} 🔥</td>
+          <td>${summary.longestStreak}</td>
+          <td>${summary.averageScore}%</td>
+          <td>${summary.savedOn === today ? `${summary.todayScore}%` : "–"}</td>
+          <td>${summary.completedDays}</td>
+        </tr>
+      `;
+    }).join("")}
+  `;
+}
+
+// ============================================
+// RESTART CHALLENGE
+// ============================================
+
+/**
+ * Restart the active challenge - archives the current run and resets to day 1
+ * Only asks for confirmation if challenge is completed (its last day)
+ * Other challenges are not touched
+ */
+function restartChallenge() {
+  const challenge = getChallenge();
+  
+  // Check if challenge is completed (last day is completed)
+  const isCompleted = challenge.currentDay >= challenge.length && 
+                      challenge.days[challenge.length] && 
+                      challenge.days[challenge.length].completed === true;
+  
+  // Only ask for confirmation if challenge is completed
+  if (!isCompleted) {
+    resetChallengeRun(challenge, true, false);
+    return;
+  }
+  
+  showConfirm(
+    "This will:\n" +
+    "• Reset to Day 1\n" +
+    "• Move this run to Past Challenges\n" +
+    "• Reset your streak to 0\n" +
+    "• Start with empty habit records",
+    { title: "⚠️ Restart the challenge?", confirmLabel: "Restart", danger: true }
+  ).then(confirmed => {
+    if (!confirmed) return;
+    
+    // Keep motivation text unless the user wants a clean slate
+    return showConfirm("Your 'Why I Started' motivation text can carry over to the new run.", {
+      title: "Keep your motivation text?",
+      confirmLabel: "Clear It",
+      cancelLabel: "Keep It"
+    }).then(clearMotivation => resetChallengeRun(challenge, !clearMotivation, true));
+  });
+}
+
+/**
+ * Archive the current run and start the challenge again from day 1
+ * Keeps its name, length, habits and scoring; running timers, target changes and
+ * overload plans belong to the old run's days and are cleared (archived days keep
+ * the targets they were judged against)
+ */
+function resetChallengeRun(challenge, keepMotivation, isCompleted) {
+  // Keep the finished or abandoned run
+  archiveChallengeRun(challenge);
+  
+  // Reset the challenge, keeping its name, length, habits and scoring
+  challenge.startDate = toDateKey(new Date());
+  challenge.currentDay = 1;
+  challenge.streak = 0;
+  challenge.days = {};
+  challenge.timers = {};
+  challenge.ruleChanges = [];
+  challenge.overloadPlans = [];
+  if (!keepMotivation) {
+    appData.whyStarted = "";
+  }
+  
+  // Save the fresh challenge
+  saveData();
+  
+  // Show success message
+  showFeedback("🔄 Challenge restarted! Starting fresh...");
+  
+  // Reload UI
+  setTimeout(() => {
+    // Clear all input fields
+    getHabits().forEach(({ id: habit }) => {
+      const input = document.getElementById(`input-${habit}`);
+      if (input) {
+        input.value = "";
+      }
+      // Reset UI
+      updateHabitUI(habit, null, false);
+    });
+    
+    // Reload current day UI
+    loadCurrentDayUI();
+    
+    // Update dashboard
+    updateStreak();
+    
+    // Render calendar
+    renderCalendar();
+    renderArchive();
+    renderChallengeList();
+    renderTargetSettings();
+    
+    // Reload motivation if kept
+    if (keepMotivation) {
+      loadMotivation();
+    } else {
+      const whyElement = document.getElementById("why");
+      if (whyElement) {
+        whyElement.value = "";
+      }
+    }
+    
+    // Show completion message only if challenge was completed
+    if (isCompleted) {
+      showAlert("You're now on Day 1. Good luck on your new journey! 💪", "✅ Challenge restarted successfully!");
+    }
+  }, 500);
 }
 
 // Run when DOM is ready
@@ -0,0 +1,327 @@
+// ============================================
+// 100 Days Better Me - Reference Team Relay Server
+// Passes progress between members of accountability groups. No dependencies, Node 14+.
+//
+// Run:  node server/relay-server.js
+// Then enter http://<this machine>:8788 under Settings → Team on every member's device.
+//
+// Environment:
+//   PORT          port to listen on (default 8788)
+//   DATA_FILE     where groups are stored (default server/relay-data.json)
+//   ALLOW_ORIGIN  value of Access-Control-Allow-Origin (default *)
+//
+// A group is identified by its code: anyone who knows the code can read the group and join it,
+// so share it only with the team. Each member publishes with a key of their own, so nobody
+// else can change or remove their entry.
+//
+// API:
+//   GET    /groups/<code>
+//     → { members: [ { id, updatedAt, profile } ] }
+//   PUT    /groups/<code>/members/<id>   "Authorization: Bearer <member key>"   { profile }
+//     → { nudges: [ { from, fromName, at } ] } (nudges waiting for this member, which are then cleared)
+//   DELETE /groups/<code>/members/<id>   "Authorization: Bearer <member key>"
+//   POST   /groups/<code>/members/<id>/nudges   "Authorization: Bearer <sender's key>"   { from }
+//     → 204, or 429 when the sender already nudged this member today
+// ============================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8788;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'relay-data.json');
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+
+// Largest request body accepted (a published profile is a few kilobytes per 100 days)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Group codes and member ids: letters, digits and dashes
+const ID_PATTERN = /^[A-Za-z0-9-]{6,64}$/;
+
+// Nudges older than this are dropped unread
+const NUDGE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stored data: { groups: { [code]: { members: { [id]: { keyHash, updatedAt, profile, nudges } } } } }
+ * Member keys are only kept hashed. groups and members have no prototype, so codes and ids
+ * like "constructor" are only ever their own entries
+ */
+let store = loadStore();
+
+/**
+ * Read the data file, or start empty
+ */
+function loadStore() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    if (data && data.groups && typeof data.groups === 'object') {
+      const groups = Object.create(null);
+      Object.keys(data.groups).forEach(code => {
+        const group = data.groups[code];
+        if (group && group.members && typeof group.members === 'object') {
+          groups[code] = { members: Object.assign(Object.create(null), group.members) };
+        }
+      });
+      return { groups };
+    }
+    console.warn(`${DATA_FILE} is not a relay data file, starting empty`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Couldn't read ${DATA_FILE}, starting empty:`, error.message);
+    }
+  }
+  return { groups: Object.create(null) };
+}
+
+/**
+ * Write the data file via a temporary file, so a crash never leaves half a file
+ */
+function saveStore() {
+  const temporaryFile = DATA_FILE + '.tmp';
+  fs.writeFileSync(temporaryFile, JSON.stringify(store));
+  fs.renameSync(temporaryFile, DATA_FILE);
+}
+
+/**
+ * SHA-256 of a member key, as stored
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * The bearer token of a request ("" when missing)
+ */
+function getBearerKey(request) {
+  const header = request.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+}
+
+/**
+ * Whether a request carries the key a member first published with (in constant time)
+ */
+function isMemberKey(member, key) {
+  if (key.length === 0 || typeof member.keyHash !== 'string') return false;
+  
+  // timingSafeEqual throws on different lengths (e.g. a hand-edited data file)
+  const expected = Buffer.from(member.keyHash, 'hex');
+  const given = Buffer.from(hashKey(key), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Send a JSON response with the CORS headers the app needs when served from another origin
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS'
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+/**
+ * Collect and parse a JSON request body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * GET /groups/<code> - every member's published progress
+ */
+function handleGetGroup(code, response) {
+  const group = store.groups[code];
+  const members = group
+    ? Object.keys(group.members).map(id => {
+      const { updatedAt, profile } = group.members[id];
+      return { id, updatedAt, profile };
+    })
+    : [];
+  
+  sendJson(response, 200, { members });
+}
+
+/**
+ * PUT /groups/<code>/members/<id> - publish a member's progress
+ * The first publish creates the group and the member; after that the same key is needed
+ */
+function handlePublish(code, id, request, response) {
+  return readJsonBody(request).then(body => {
+    const key = getBearerKey(request);
+    if (!key) {
+      sendJson(response, 401, { error: "Missing member key" });
+      return;
+    }
+    if (!body || !body.profile || typeof body.profile !== 'object') {
+      sendJson(response, 400, { error: "Expected { profile }" });
+      return;
+    }
+    
+    const group = store.groups[code] || (store.groups[code] = { members: Object.create(null) });
+    const member = group.members[id];
+    if (member && !isMemberKey(member, key)) {
+      sendJson(response, 403, { error: "Wrong member key" });
+      return;
+    }
+    
+    const now = Date.now();
+    const nudges = member ? member.nudges.filter(nudge => now - nudge.at < NUDGE_MAX_AGE_MS) : [];
+    group.members[id] = { keyHash: hashKey(key), updatedAt: now, profile: body.profile, nudges: [] };
+    saveStore();
+    sendJson(response, 200, { nudges });
+  });
+}
+
+/**
+ * DELETE /groups/<code>/members/<id> - leave the group (the group goes with its last member)
+ */
+function handleLeave(code, id, request, response) {
+  const group = store.groups[code];
+  const member = group && group.members[id];
+  if (!member) {
+    sendJson(response, 204);
+    return;
+  }
+  if (!isMemberKey(member, getBearerKey(request))) {
+    sendJson(response, 403, { error: "Wrong member key" });
+    return;
+  }
+  
+  delete group.members[id];
+  if (Object.keys(group.members).length === 0) {
+    delete store.groups[code];
+  }
+  saveStore();
+  sendJson(response, 204);
+}
+
+/**
+ * POST /groups/<code>/members/<id>/nudges - nudge a member, at most once a day per sender
+ */
+function handleNudge(code, id, request, response) {
+  return readJsonBody(request).then(body => {
+    const group = store.groups[code];
+    const member = group && group.members[id];
+    const sender = group && body && typeof body.from === 'string' && group.members[body.from];
+    if (!member || !sender) {
+      sendJson(response, 404, { error: "Not a member of this group" });
+      return;
+    }
+    if (body.from === id) {
+      sendJson(response, 400, { error: "Members can't nudge themselves" });
+      return;
+    }
+    if (!isMemberKey(sender, getBearerKey(request))) {
+      sendJson(response, 403, { error: "Wrong member key" });
+      return;
+    }
+    
+    const today = new Date().toISOString().slice(0, 10);
+    const sentToday = member.nudges.some(nudge => {
+      return nudge.from === body.from && new Date(nudge.at).toISOString().slice(0, 10) === today;
+    });
+    if (sentToday) {
+      sendJson(response, 429, { error: "Already nudged today" });
+      return;
+    }
+    
+    member.nudges.push({ from: body.from, fromName: String(sender.profile.name || ""), at: Date.now() });
+    saveStore();
+    sendJson(response, 204);
+  });
+}
+
+/**
+ * The path and query of a request, or null when they can't be parsed
+ * (parsed against a fixed base: the Host header is whatever the client sent)
+ */
+function parseRequestUrl(request) {
+  try {
+    return new URL(request.url, 'http://localhost');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Route a request to its handler
+ */
+function handleRequest(request, response) {
+  const url = parseRequestUrl(request);
+  if (!url) {
+    sendJson(response, 400, { error: "Bad request" });
+    return;
+  }
+  
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204);
+    return;
+  }
+  
+  // groups/<code>[/members/<id>[/nudges]]
+  const parts = url.pathname.split('/').filter(Boolean);
+  const [root, code, membersPart, id, nudgesPart] = parts;
+  const isGroup = root === 'groups' && ID_PATTERN.test(code || "");
+  const isMember = isGroup && membersPart === 'members' && ID_PATTERN.test(id || "");
+  
+  let handled;
+  if (isGroup && parts.length === 2 && request.method === 'GET') {
+    handleGetGroup(code, response);
+  } else if (isMember && parts.length === 4 && request.method === 'PUT') {
+    handled = handlePublish(code, id, request, response);
+  } else if (isMember && parts.length === 4 && request.method === 'DELETE') {
+    handleLeave(code, id, request, response);
+  } else if (isMember && parts.length === 5 && nudgesPart === 'nudges' && request.method === 'POST') {
+    handled = handleNudge(code, id, request, response);
+  } else {
+    sendJson(response, 404, { error: "Not found" });
+  }
+  
+  if (handled) {
+    handled.catch(error => {
+      console.error(error);
+      sendJson(response, error.status || 500, { error: error.message });
+    });
+  }
+}
+
+const server = http.createServer((request, response) => {
+  // A request that breaks a handler gets an error response instead of stopping the server
+  try {
+    handleRequest(request, response);
+  } catch (error) {
+    console.error(error);
+    if (!response.headersSent) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Relay server listening on port ${PORT}, storing data in ${DATA_FILE}`);
+});
@@ -0,0 +1,239 @@
+// ============================================
+// 100 Days Better Me - Reference Sync Server
+// Keeps the synced records in one JSON file. No dependencies, Node 14+.
+//
+// Run:  SYNC_TOKEN=some-secret node server/sync-server.js
+// Then enter http://<this machine>:8787 and the token under Settings → Sync.
+//
+// Environment:
+//   PORT        port to listen on (default 8787)
+//   SYNC_TOKEN  token the app must send as "Authorization: Bearer <token>" (empty = no check)
+//   DATA_FILE   where records are stored (default server/sync-data.json)
+//   ALLOW_ORIGIN  value of Access-Control-Allow-Origin (default *)
+//
+// API:
+//   GET  /changes?since=<cursor>
+//     → { cursor, records: [ { key, updatedAt, deleted?, value } ] } (records stored after the cursor)
+//   POST /changes   { records: [ { key, updatedAt, deleted?, value } ] }
+//     → { cursor, accepted: [key] } (a record only replaces one with an older updatedAt)
+// ============================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const SYNC_TOKEN = process.env.SYNC_TOKEN || "";
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+
+// Largest request body accepted (a whole challenge with journals fits easily)
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Stored data: { cursor, records: { [key]: { key, updatedAt, deleted, value, revision } } }
+ * cursor counts accepted records, so clients can ask for everything after the last one they saw
+ * (a counter instead of a time, so a pull never misses records whatever the device clocks say)
+ * Conflicts are settled by updatedAt, which comes from the clock of the device that made the
+ * change: a device whose clock runs ahead wins against edits made elsewhere around that time
+ * records has no prototype, so keys like "constructor" are only ever their own records
+ */
+let store = loadStore();
+
+/**
+ * Read the data file, or start empty
+ */
+function loadStore() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    if (data && typeof data.cursor === 'number' && data.records && typeof data.records === 'object') {
+      return { cursor: data.cursor, records: Object.assign(Object.create(null), data.records) };
+    }
+    console.warn(`${DATA_FILE} is not a sync data file, starting empty`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Couldn't read ${DATA_FILE}, starting empty:`, error.message);
+    }
+  }
+  return { cursor: 0, records: Object.create(null) };
+}
+
+/**
+ * Write the data file via a temporary file, so a crash never leaves half a file
+ */
+function saveStore() {
+  const temporaryFile = DATA_FILE + '.tmp';
+  fs.writeFileSync(temporaryFile, JSON.stringify(store));
+  fs.renameSync(temporaryFile, DATA_FILE);
+}
+
+/**
+ * Check the bearer token in constant time
+ */
+function isAuthorized(request) {
+  if (!SYNC_TOKEN) return true;
+  
+  const header = request.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${SYNC_TOKEN}`);
+  const given = Buffer.from(header);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Send a JSON response with the CORS headers the app needs when served from another origin
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+/**
+ * Collect and parse a JSON request body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request too large"), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Whether a pushed record has the fields the app sends
+ */
+function isValidRecord(record) {
+  return record && typeof record.key === 'string' && record.key.length > 0 &&
+    typeof record.updatedAt === 'number' && isFinite(record.updatedAt) &&
+    (record.deleted === true || record.value !== undefined);
+}
+
+/**
+ * GET /changes - everything stored after the client's cursor
+ */
+function handlePull(url, response) {
+  const since = Number(url.searchParams.get('since')) || 0;
+  const records = Object.values(store.records)
+    .filter(record => record.revision > since)
+    .sort((a, b) => a.revision - b.revision)
+    .map(({ key, updatedAt, deleted, value }) => (deleted ? { key, updatedAt, deleted } : { key, updatedAt, value }));
+  
+  sendJson(response, 200, { cursor: store.cursor, records });
+}
+
+/**
+ * POST /changes - store records newer than ours (last write wins, per record)
+ */
+function handlePush(request, response) {
+  return readJsonBody(request).then(body => {
+    if (!body || !Array.isArray(body.records) || !body.records.every(isValidRecord)) {
+      sendJson(response, 400, { error: "Expected { records: [ { key, updatedAt, value | deleted } ] }" });
+      return;
+    }
+    
+    const accepted = [];
+    body.records.forEach(record => {
+      const ours = store.records[record.key];
+      if (ours && ours.updatedAt >= record.updatedAt) return;
+      
+      store.cursor++;
+      store.records[record.key] = record.deleted
+        ? { key: record.key, updatedAt: record.updatedAt, deleted: true, revision: store.cursor }
+        : { key: record.key, updatedAt: record.updatedAt, value: record.value, revision: store.cursor };
+      accepted.push(record.key);
+    });
+    
+    if (accepted.length > 0) {
+      saveStore();
+    }
+    sendJson(response, 200, { cursor: store.cursor, accepted });
+  });
+}
+
+/**
+ * The path and query of a request, or null when they can't be parsed
+ * (parsed against a fixed base: the Host header is whatever the client sent)
+ */
+function parseRequestUrl(request) {
+  try {
+    return new URL(request.url, 'http://localhost');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Route a request to its handler
+ */
+function handleRequest(request, response) {
+  const url = parseRequestUrl(request);
+  if (!url) {
+    sendJson(response, 400, { error: "Bad request" });
+    return;
+  }
+  
+  if (request.method === 'OPTIONS') {
+    sendJson(response, 204);
+    return;
+  }
+  if (url.pathname !== '/changes') {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  if (!isAuthorized(request)) {
+    sendJson(response, 401, { error: "Missing or wrong token" });
+    return;
+  }
+  
+  if (request.method === 'GET') {
+    handlePull(url, response);
+  } else if (request.method === 'POST') {
+    handlePush(request, response).catch(error => {
+      console.error(error);
+      sendJson(response, error.status || 500, { error: error.message });
+    });
+  } else {
+    sendJson(response, 405, { error: "Method not allowed" });
+  }
+}
+
+const server = http.createServer((request, response) => {
+  // A request that breaks a handler gets an error response instead of stopping the server
+  try {
+    handleRequest(request, response);
+  } catch (error) {
+    console.error(error);
+    if (!response.headersSent) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on port ${PORT}, storing data in ${DATA_FILE}`);
+  if (!SYNC_TOKEN) {
+    console.warn("SYNC_TOKEN is not set - anyone who can reach this port can read and change the data");
+  }
+});
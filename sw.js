@@ -0,0 +1,201 @@
+// ============================================
+// 100 Days Better Me - Service Worker
+// Caches the app shell for offline use; fonts are cached as they load
+// Shows habit reminders from the schedule the app sends over
+// ============================================
+
+// App files are fetched fresh whenever the network is up, so edits reach installed apps
+// without touching this file. Bump the version when the worker itself changes in a way
+// the page should take over right away - the app then offers to update
+const CACHE_VERSION = 'v3';
+const APP_CACHE = `better-me-app-${CACHE_VERSION}`;
+const FONT_CACHE = 'better-me-fonts';
+const REMINDER_CACHE = 'better-me-reminders';
+
+// Where the reminder schedule and the tags already shown are kept
+// (service workers have no localStorage, and may be stopped at any time)
+const SCHEDULE_KEY = 'reminders/schedule.json';
+const SHOWN_KEY = 'reminders/shown.json';
+
+// Files the app needs to start offline
+const APP_SHELL = [
+  './',
+  'index.html',
+  'script.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+
+// Google Fonts stylesheet and font files
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Cache the app shell; the new worker waits until the page asks it to take over
+ */
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL))
+  );
+});
+
+/**
+ * Remove app caches left behind by older versions
+ */
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('better-me-app-') && key !== APP_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Messages from the page:
+ * SKIP_WAITING - the user accepted the "update available" prompt
+ * REMINDER_SCHEDULE - the latest reminders; replaces the stored schedule
+ * CHECK_REMINDERS - show anything that is due (sent once a minute while the app is open)
+ */
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  
+  if (message.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (message.type === 'REMINDER_SCHEDULE') {
+    event.waitUntil(writeJson(SCHEDULE_KEY, message.schedule || []).then(showDueReminders));
+  } else if (message.type === 'CHECK_REMINDERS') {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+/**
+ * Periodic background sync wakes the worker while the app is closed
+ */
+self.addEventListener('periodicsync', event => {
+  if (event.tag === 'reminder-check') {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+/**
+ * Open (or focus) the app when a reminder is tapped
+ */
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      if (windows.length > 0) {
+        return windows[0].focus();
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+    return;
+  }
+  
+  if (url.origin === self.location.origin) {
+    event.respondWith(appShellResponse(request));
+  }
+});
+
+/**
+ * App files come from the network first, refreshing the cached copy, and from the cache
+ * when offline. Page navigations fall back to the cached index.html
+ */
+function appShellResponse(request) {
+  return caches.open(APP_CACHE).then(cache => {
+    return fetch(request).then(response => {
+      if (response.ok && response.type === 'basic') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    }).catch(() => {
+      return cache.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+          return cache.match('index.html');
+        }
+        return Response.error();
+      });
+    });
+  });
+}
+
+/**
+ * Serve from the cache, fetching and storing the response the first time
+ * Font files never change for a given URL, so they are not refreshed
+ */
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName).then(cache => {
+    return cache.match(request).then(cached => {
+      if (cached) return cached;
+      
+      return fetch(request).then(response => {
+        // Opaque (no-cors) font responses have status 0 but are still usable
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      });
+    });
+  });
+}
+
+/**
+ * Show every scheduled reminder whose time has come, once each
+ * Reminders for a day that has already ended are dropped
+ */
+function showDueReminders() {
+  const now = Date.now();
+  
+  return Promise.all([readJson(SCHEDULE_KEY, []), readJson(SHOWN_KEY, [])]).then(([schedule, shown]) => {
+    const due = schedule.filter(entry => entry.at <= now && now < entry.until && !shown.includes(entry.tag));
+    if (due.length === 0) return;
+    
+    return Promise.all(due.map(entry => {
+      return self.registration.showNotification(entry.title, {
+        body: entry.body,
+        tag: entry.tag,
+        icon: 'icon.svg'
+      });
+    })).then(() => {
+      // Only remember tags that can still come up
+      const upcoming = schedule.map(entry => entry.tag);
+      const remembered = shown.concat(due.map(entry => entry.tag)).filter(tag => upcoming.includes(tag));
+      return writeJson(SHOWN_KEY, remembered);
+    });
+  });
+}
+
+/**
+ * Read a JSON value stored in the reminder cache
+ */
+function readJson(key, fallback) {
+  return caches.open(REMINDER_CACHE)
+    .then(cache => cache.match(key))
+    .then(response => response ? response.json() : fallback)
+    .catch(() => fallback);
+}
+
+/**
+ * Store a JSON value in the reminder cache
+ */
+function writeJson(key, value) {
+  return caches.open(REMINDER_CACHE).then(cache => {
+    return cache.put(key, new Response(JSON.stringify(value), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  });
+}